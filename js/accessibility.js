@@ -0,0 +1,193 @@
+// accessibility.js — Keyboard navigation, live announcements and text descriptions for the 3D slots
+import { getEra, getPartInfo } from './timeline.js';
+import { selectPart } from './picking.js';
+import { prefersReducedMotion } from './motion.js';
+
+const ANNOUNCE_DELAY = 300;     // ms — fast scrolling only announces where it settles
+
+let eraIds = [];
+let eraParts = {};              // eraId → parts array (picking order)
+let activeEra = null;
+let focusedIndex = -1;          // keyboard/pointer-selected part of the active era
+let announcer = null;
+let announceTimer = null;
+
+function getSlot(eraId) {
+    return document.querySelector(`.three-visual-slot[data-era="${eraId}"]`);
+}
+
+// ─── Live Region ───
+// Cleared first so repeating the same text is still read out
+export function announce(text) {
+    if (!announcer) return;
+    clearTimeout(announceTimer);
+    announcer.textContent = '';
+    announceTimer = setTimeout(() => {
+        announcer.textContent = text;
+    }, ANNOUNCE_DELAY);
+}
+
+// ─── Text Description ───
+// Parts grouped by label in build order, e.g. "Spoke (×8)", with any manifest descriptions
+function describeParts(eraId, parts) {
+    const groups = new Map();
+    parts.forEach(part => {
+        const { label, description } = getPartInfo(eraId, part.mesh.name);
+        const entry = groups.get(label) || { label, description, count: 0 };
+        entry.count++;
+        groups.set(label, entry);
+    });
+    return [...groups.values()];
+}
+
+function renderDescription(eraId, parts) {
+    const el = document.getElementById(`${eraId}-model-description`);
+    if (!el) return;
+    const era = getEra(eraId);
+    const groups = describeParts(eraId, parts);
+
+    el.textContent = '';
+    const summary = document.createElement('p');
+    summary.textContent = `${era?.title || eraId}: 3D model with ${parts.length} parts. ` +
+        'Arrow keys step through the parts, Escape clears the selection, Page Up and Page Down move between eras.';
+    const list = document.createElement('ul');
+    groups.forEach(({ label, description, count }) => {
+        const item = document.createElement('li');
+        item.textContent = (count > 1 ? `${label} (×${count})` : label) + (description ? ` — ${description}` : '');
+        list.appendChild(item);
+    });
+    el.append(summary, list);
+}
+
+// ─── Keyboard ───
+function focusPart(index) {
+    const parts = eraParts[activeEra];
+    if (!parts || !parts.length) return;
+    const wrapped = (index + parts.length) % parts.length;
+    selectPart(parts[wrapped]); // announced through onPartSelected
+}
+
+// Returns false past the first/last era so the key keeps its native page scroll
+function focusEra(offset, fromEraId) {
+    const index = eraIds.indexOf(fromEraId) + offset;
+    const slot = getSlot(eraIds[index]);
+    if (!slot) return false;
+    slot.focus({ preventScroll: true }); // onSlotFocus scrolls it into view
+    return true;
+}
+
+function onSlotKeyDown(e) {
+    const eraId = e.currentTarget.dataset.era;
+
+    switch (e.key) {
+        case 'PageDown':
+            if (!focusEra(1, eraId)) return;
+            break;
+        case 'PageUp':
+            if (!focusEra(-1, eraId)) return;
+            break;
+        case 'ArrowRight':
+        case 'ArrowDown':
+            if (eraId !== activeEra) return;
+            focusPart(focusedIndex + 1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            if (eraId !== activeEra) return;
+            focusPart(focusedIndex < 0 ? -1 : focusedIndex - 1);
+            break;
+        case 'Home':
+            if (eraId !== activeEra) return;
+            focusPart(0);
+            break;
+        case 'End':
+            if (eraId !== activeEra) return;
+            focusPart(-1);
+            break;
+        default:
+            return; // Escape is handled by picking.js
+    }
+    e.preventDefault();
+}
+
+// Tabbing onto a slot brings its section into play so its parts can be browsed
+function onSlotFocus(e) {
+    const eraId = e.currentTarget.dataset.era;
+    if (eraId !== activeEra) {
+        e.currentTarget.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' });
+    }
+}
+
+/**
+ * Make every era slot (rendered by timelineUI.js) focusable and keyboard
+ * driven, and take over the #liveAnnouncer region.
+ */
+export function initAccessibility(eras) {
+    eraIds = eras.map(era => era.id);
+    announcer = document.getElementById('liveAnnouncer');
+
+    eraIds.forEach(eraId => {
+        const slot = getSlot(eraId);
+        if (!slot) return;
+        slot.addEventListener('keydown', onSlotKeyDown);
+        slot.addEventListener('focus', onSlotFocus);
+    });
+}
+
+/**
+ * Describe a built model from its parts list and enable part navigation.
+ */
+export function registerAccessibleModel(eraId, parts) {
+    eraParts[eraId] = parts;
+    renderDescription(eraId, parts);
+}
+
+/**
+ * The model was disposed: part navigation stops, the description stays.
+ */
+export function unregisterAccessibleModel(eraId) {
+    delete eraParts[eraId];
+    if (eraId === activeEra) focusedIndex = -1;
+}
+
+/**
+ * The section in view changed: announce it (null = the hero).
+ */
+export function setAccessibleEra(eraId) {
+    if (eraId === activeEra) return;
+    activeEra = eraId;
+    focusedIndex = -1;
+
+    const index = eraIds.indexOf(eraId);
+    const era = getEra(eraId);
+    announce(era
+        ? `Era ${index + 1} of ${eraIds.length}: ${era.title}, ${era.year}, ${era.location}`
+        : 'Engineering Timeline overview');
+}
+
+/**
+ * Picking selection changed (pointer or keyboard): follow and announce it.
+ */
+export function onPartSelected(part, eraId) {
+    const parts = eraParts[eraId] || [];
+    focusedIndex = part ? parts.indexOf(part) : -1;
+    if (!part) return;
+
+    const { label, description } = getPartInfo(eraId, part.mesh.name);
+    announce(`${label}, part ${focusedIndex + 1} of ${parts.length}` + (description ? `. ${description}` : ''));
+}
+
+export function disposeAccessibility() {
+    eraIds.forEach(eraId => {
+        const slot = getSlot(eraId);
+        if (!slot) return;
+        slot.removeEventListener('keydown', onSlotKeyDown);
+        slot.removeEventListener('focus', onSlotFocus);
+    });
+    clearTimeout(announceTimer);
+    eraIds = [];
+    eraParts = {};
+    activeEra = null;
+    focusedIndex = -1;
+    announcer = null;
+}
@@ -1,12 +1,67 @@
 // animation.js — Exploded view animation logic
 import * as THREE from 'three';
+import { syncInstance } from './instancing.js';
+
+// ─── Easing ───
+export const EASINGS = {
+    linear: t => t,
+    quadIn: t => t * t,
+    quadOut: t => 1 - (1 - t) * (1 - t),
+    quadInOut: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    cubicIn: t => t * t * t,
+    cubicOut: t => 1 - Math.pow(1 - t, 3),
+    cubicInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    backOut: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+const DEFAULT_EASING = 'cubicInOut';
+
+// Neighbouring stages overlap slightly so the sequence reads as one motion
+const STAGE_OVERLAP = 0.25;
+
+function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return EASINGS[easing] || EASINGS[DEFAULT_EASING];
+}
+
+function toEuler(rotation) {
+    if (!rotation) return null;
+    return Array.isArray(rotation) ? new THREE.Euler(...rotation) : rotation;
+}
+
+/**
+ * Resolve a part's window within the 0–1 scroll progress.
+ * Explicit delay/duration win; otherwise `stage` slots the part into one of
+ * stageCount equal windows; parts with neither span the whole range.
+ */
+function resolveTiming(part, stageCount) {
+    let start = 0;
+    let duration = 1;
+
+    if (part.stage !== undefined && stageCount > 0) {
+        const stageSpan = 1 / stageCount;
+        start = part.stage * stageSpan;
+        duration = Math.min(stageSpan * (1 + STAGE_OVERLAP), 1 - start);
+    }
+    if (part.delay !== undefined) start = part.delay;
+    if (part.duration !== undefined) duration = part.duration;
+
+    start = Math.max(0, Math.min(1, start));
+    const end = Math.max(start + 1e-4, Math.min(1, start + duration));
+    return { start, end, ease: resolveEasing(part.easing) };
+}
 
 /**
  * Set up exploded view offsets for a model's parts.
- * Each part has: { mesh, originalPos, explodeDir }
- * explodeDir is the direction + magnitude vector for full explosion.
+ * Each part has: { mesh, originalPos, explodeDir } plus optional sequencing
+ * metadata: { stage, delay, duration, easing, explodeRotation }.
+ * explodeDir is the direction + magnitude vector for full explosion;
+ * explodeRotation is an Euler offset (e.g. unscrewing a cap) applied alongside it.
  */
 export function setupExplodedView(parts) {
+    const stageCount = parts.reduce((max, part) =>
+        part.stage !== undefined ? Math.max(max, part.stage + 1) : max, 0);
+
     parts.forEach(part => {
         // Ensure we have the original position stored
         if (!part.originalPos) {
@@ -14,49 +69,101 @@ export function setupExplodedView(parts) {
         }
         // Compute the target exploded position
         part.explodedPos = part.originalPos.clone().add(part.explodeDir);
+
+        part.explodeRotation = toEuler(part.explodeRotation);
+        if (!part.originalRot) {
+            part.originalRot = part.mesh.rotation.clone();
+            part.originalQuat = part.mesh.quaternion.clone();
+        }
+
+        part.timing = resolveTiming(part, stageCount);
     });
 }
 
+/**
+ * Explode progress values at which one stage group has moved out and the
+ * next is about to start — the stops for stepping through a model part group
+ * by part group. Always includes 0 and 1. Needs setupExplodedView first.
+ */
+export function getStageStops(parts) {
+    const stops = new Set([0, 1]);
+    parts.forEach(part => {
+        if (part.timing && part.timing.start > 0) stops.add(Math.round(part.timing.start * 1000) / 1000);
+    });
+    return [...stops].sort((a, b) => a - b);
+}
+
 /**
  * Update exploded view based on scroll progress (0 = assembled, 1 = exploded).
- * Pure translation — no scaling, morphing, or distortion.
+ * Each part maps the global progress through its own timing window and easing.
+ * Pure rigid motion — no scaling, morphing, or distortion.
  */
 export function updateExplodedView(parts, progress) {
     // Clamp progress
     const t = Math.max(0, Math.min(1, progress));
 
-    // Apply smooth easing — cubic ease in-out
-    const eased = t < 0.5
-        ? 4 * t * t * t
-        : 1 - Math.pow(-2 * t + 2, 3) / 2;
-
     parts.forEach(part => {
         if (!part.mesh || !part.originalPos || !part.explodedPos) return;
 
-        // Lerp between assembled and exploded positions
-        part.mesh.position.lerpVectors(part.originalPos, part.explodedPos, eased);
+        const { start, end, ease } = part.timing;
+        const local = Math.max(0, Math.min(1, (t - start) / (end - start)));
+        part.explodeAmount = ease(local);
+
+        applyPartTransform(part);
     });
 }
 
 /**
- * Smooth opacity transition for model groups
+ * Compose a part's transform: assembled → exploded lerp (plus optional
+ * explode rotation), then any running-mode motion layered on top.
+ * part.motion = { quaternion, pivot?, offset? } — the quaternion spins the
+ * part in its parent's space, about `pivot` if given, else its own origin.
+ */
+export function applyPartTransform(part) {
+    const { mesh, motion } = part;
+    const eased = part.explodeAmount || 0;
+
+    // Lerp between assembled and exploded positions
+    mesh.position.lerpVectors(part.originalPos, part.explodedPos, eased);
+
+    if (part.explodeRotation) {
+        mesh.rotation.set(
+            part.originalRot.x + part.explodeRotation.x * eased,
+            part.originalRot.y + part.explodeRotation.y * eased,
+            part.originalRot.z + part.explodeRotation.z * eased
+        );
+    } else if (part.originalQuat) {
+        mesh.quaternion.copy(part.originalQuat);
+    }
+
+    if (motion) {
+        if (motion.pivot) {
+            mesh.position.sub(motion.pivot).applyQuaternion(motion.quaternion).add(motion.pivot);
+        }
+        if (motion.offset) mesh.position.add(motion.offset);
+        mesh.quaternion.premultiply(motion.quaternion);
+    }
+
+    // Instanced parts (instancing.js) move their instance with the proxy
+    if (mesh.userData.instance) syncInstance(mesh);
+}
+
+/**
+ * Smooth opacity transition for model groups.
+ * Opacity scales each material's own resting opacity, so translucent
+ * panels and wireframe overlays keep their authored strength.
  */
 export function setGroupOpacity(group, opacity) {
     group.traverse(child => {
-        if (child.isMesh && child.material) {
-            if (Array.isArray(child.material)) {
-                child.material.forEach(mat => {
-                    mat.transparent = true;
-                    mat.opacity = opacity;
-                });
-            } else {
-                child.material.transparent = true;
-                child.material.opacity = opacity;
-            }
-        }
-        if (child.isLineSegments && child.material) {
-            child.material.transparent = true;
-            child.material.opacity = opacity;
+        if ((child.isMesh || child.isLineSegments) && child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(mat => {
+                if (mat.userData.baseOpacity === undefined) {
+                    mat.userData.baseOpacity = mat.opacity;
+                }
+                mat.transparent = true;
+                mat.opacity = mat.userData.baseOpacity * opacity;
+            });
         }
     });
 }
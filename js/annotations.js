@@ -0,0 +1,169 @@
+// annotations.js — Engineering-drawing leader-line labels for the exploded view
+import * as THREE from 'three';
+import { getEra, getPartInfo } from './timeline.js';
+import { getView, projectToView } from './viewports.js';
+
+// Labels fade in over this slice of explode progress
+const FADE_START = 0.75;
+const FADE_END = 0.95;
+
+const COLUMN_GAP = 70;      // px between the outermost anchor and the label column
+const LABEL_SPACING = 26;   // px minimum vertical distance between labels
+const SHOULDER = 14;        // px horizontal run of the leader into the label
+const EDGE_MARGIN = 16;     // px kept clear of the viewport edges
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+let activeEra = null;
+let layer = null;
+let svg = null;
+let annotations = [];       // { part, label, line, dot }
+let visible = false;
+
+const worldPos = new THREE.Vector3();
+
+// Anchor at the centre of the part's geometry rather than its origin
+function anchorOf(part) {
+    const mesh = part.mesh;
+    if (mesh.geometry) {
+        if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+        return worldPos.copy(mesh.geometry.boundingSphere.center).applyMatrix4(mesh.matrixWorld);
+    }
+    return mesh.getWorldPosition(worldPos);
+}
+
+function clear() {
+    annotations.forEach(({ label, line, dot }) => {
+        label.remove();
+        line.remove();
+        dot.remove();
+    });
+    annotations = [];
+}
+
+// ─── Collision Avoidance ───
+// Push labels apart down the column, then back up if they overflow the bottom edge
+function spreadColumn(items) {
+    items.sort((a, b) => a.anchor.y - b.anchor.y);
+
+    items.forEach((item, i) => {
+        item.y = Math.max(item.anchor.y, EDGE_MARGIN);
+        if (i > 0) item.y = Math.max(item.y, items[i - 1].y + LABEL_SPACING);
+    });
+
+    const maxY = window.innerHeight - EDGE_MARGIN;
+    for (let i = items.length - 1; i >= 0; i--) {
+        const limit = i === items.length - 1 ? maxY : items[i + 1].y - LABEL_SPACING;
+        items[i].y = Math.min(items[i].y, limit);
+    }
+}
+
+function layoutSide(items, side) {
+    if (!items.length) return;
+
+    const edgeX = side > 0
+        ? Math.max(...items.map(i => i.anchor.x)) + COLUMN_GAP
+        : Math.min(...items.map(i => i.anchor.x)) - COLUMN_GAP;
+    const columnX = Math.max(EDGE_MARGIN, Math.min(window.innerWidth - EDGE_MARGIN, edgeX));
+
+    spreadColumn(items);
+
+    items.forEach(({ annotation, anchor, y }) => {
+        const { label, line, dot } = annotation;
+        const elbowX = columnX - side * SHOULDER;
+
+        line.setAttribute('points', `${anchor.x},${anchor.y} ${elbowX},${y} ${columnX},${y}`);
+        dot.setAttribute('cx', anchor.x);
+        dot.setAttribute('cy', anchor.y);
+
+        label.classList.toggle('annotation-left', side < 0);
+        label.style.transform = side > 0
+            ? `translate(${Math.round(columnX + 6)}px, ${Math.round(y)}px) translateY(-50%)`
+            : `translate(${Math.round(columnX - 6)}px, ${Math.round(y)}px) translate(-100%, -50%)`;
+    });
+}
+
+/**
+ * Create the annotation layer (#annotationLayer). Parts are projected through
+ * the active era's slot viewport.
+ */
+export function initAnnotations() {
+    layer = document.getElementById('annotationLayer');
+    if (!layer) return;
+
+    svg = document.createElementNS(SVG_NS, 'svg');
+    svg.classList.add('annotation-lines');
+    layer.appendChild(svg);
+}
+
+/**
+ * Build labels for the era's manifest `annotations` list (null clears them).
+ */
+export function setAnnotationEra(eraId, parts = []) {
+    clear();
+    activeEra = eraId;
+    if (!layer || !eraId) return;
+
+    const names = getEra(eraId)?.annotations || [];
+    names.forEach(name => {
+        const part = parts.find(p => p.mesh.name === name);
+        if (!part) return;
+
+        const label = document.createElement('div');
+        label.className = 'annotation-label';
+        label.textContent = getPartInfo(eraId, name).label;
+        layer.appendChild(label);
+
+        const line = document.createElementNS(SVG_NS, 'polyline');
+        const dot = document.createElementNS(SVG_NS, 'circle');
+        dot.setAttribute('r', 2.5);
+        svg.appendChild(line);
+        svg.appendChild(dot);
+
+        annotations.push({ part, label, line, dot });
+    });
+}
+
+/**
+ * Per-frame: fade labels in with explode progress and re-project leaders
+ * so they follow parts as they translate.
+ */
+export function updateAnnotations(progress) {
+    if (!layer) return;
+
+    const t = Math.max(0, Math.min(1, (progress - FADE_START) / (FADE_END - FADE_START)));
+    const opacity = t * t * (3 - 2 * t);
+
+    const view = getView(activeEra);
+    const shouldShow = opacity > 0 && annotations.length > 0 && !!view?.visible;
+    if (shouldShow !== visible) {
+        visible = shouldShow;
+        layer.classList.toggle('visible', visible);
+    }
+    if (!visible) return;
+
+    layer.style.opacity = opacity;
+
+    // Split around the model's screen centre: left-hand parts label to the left
+    const placed = [];
+    annotations.forEach(annotation => {
+        const anchor = projectToView(view, anchorOf(annotation.part));
+        const hidden = !anchor.onScreen;
+        annotation.label.hidden = hidden;
+        annotation.line.style.display = hidden ? 'none' : '';
+        annotation.dot.style.display = hidden ? 'none' : '';
+        if (!hidden) placed.push({ annotation, anchor });
+    });
+
+    const centerX = placed.reduce((sum, p) => sum + p.anchor.x, 0) / (placed.length || 1);
+    layoutSide(placed.filter(p => p.anchor.x >= centerX), 1);
+    layoutSide(placed.filter(p => p.anchor.x < centerX), -1);
+}
+
+export function disposeAnnotations() {
+    clear();
+    activeEra = null;
+    if (svg) svg.remove();
+    svg = null;
+    visible = false;
+}
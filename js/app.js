@@ -0,0 +1,799 @@
+// app.js — The timeline app: scene init, environment, model management, render loop, teardown
+import * as THREE from 'three';
+import {
+    init as initScene, resize, dispose as disposeScene, getScene, getCamera, getComposer, getRenderer, getBloomPass
+} from './scene.js';
+import { setupLighting } from './lighting.js';
+import { loadEraModel, disposeModelLoader } from './modelLoader.js';
+import { loadTimeline, getEras, getEra, getDefaultCamera } from './timeline.js';
+import { renderTimeline, renderTimelineError, observeReveals, disposeTimeline } from './timelineUI.js';
+import {
+    initPicking, registerPickableParts, unregisterPickableParts, setPickingEra, setOnPartSelect, selectPart,
+    getSelectedPart, updatePicking, disposePicking
+} from './picking.js';
+import { initAnnotations, setAnnotationEra, updateAnnotations, disposeAnnotations } from './annotations.js';
+import {
+    registerMechanism, unregisterMechanism, setMechanismRunning, isMechanismRunning, updateMechanisms, disposeMechanisms
+} from './mechanics.js';
+import {
+    initCameraController, toggleInspection, enterInspection, exitInspection, setOnInspectionChange,
+    onCameraSectionChange, updateCameraController, frameEra, setCameraProgress, setCameraPoseOverride, measureModel,
+    poseCamera, setCameraGlides, disposeCameraController
+} from './cameraController.js';
+import {
+    registerView, unregisterView, setViewObjects, setActiveView, updateViews, getVisibleViews, disposeViewports
+} from './viewports.js';
+import {
+    registerTransition, unregisterTransition, beginTransition, endTransition, setTransitionsEnabled, disposeTransitions
+} from './transitions.js';
+import { setHeroModels, updateHero, applyHeroLayout, restoreHeroLayout, disposeHero } from './hero.js';
+import { setupExplodedView } from './animation.js';
+import {
+    initPlayback, setOnPlaybackChange, registerPlaybackParts, unregisterPlaybackParts,
+    stopPlayback, glideExplode, onPlaybackSectionChange, syncPlaybackBar, disposePlayback
+} from './playback.js';
+import { loadTour, initTour, setOnTourStep, setOnTourEnd, disposeTour } from './tour.js';
+import {
+    initScrollTriggers, registerModel, unregisterModel, setOnSectionChange, setOnProgress,
+    getActiveSection, getSectionProgress, getExplodeProgress, setDiscreteExplode,
+    setExplodeState, getExplodeState, scrollToSection, dispose as disposeScrollTriggers
+} from './scrollController.js';
+import { createHolographicAura } from './shaders.js';
+import { createGridFloor, createParticles } from './environment.js';
+import { registerEraEffects, removeEraEffects, updateEffects, disposeEffects } from './effects.js';
+import { initQuality, updateQuality, disposeQuality } from './quality.js';
+import {
+    startRenderLoop, stopRenderLoop, invalidate, setContinuous, setIdleEffects, areIdleEffectsEnabled
+} from './scheduler.js';
+import { initMotionPreference, onMotionPreferenceChange, disposeMotionPreference } from './motion.js';
+import {
+    initAccessibility, registerAccessibleModel, unregisterAccessibleModel, setAccessibleEra, onPartSelected,
+    announce, disposeAccessibility
+} from './accessibility.js';
+import {
+    isWebGLAvailable, showStaticFallback, updateStaticView, isStaticFallbackActive, disposeStaticFallback
+} from './fallback.js';
+import { exportModel } from './exporter.js';
+import { readURLState, updateURLState, copyShareLink, disposeURLState } from './urlState.js';
+import {
+    initModelCache, requestModel, setActiveModel, reloadModels, disposeModelCache, disposeObject, MAX_RESIDENT_MODELS
+} from './modelCache.js';
+
+// ─── State ───
+let mounted = null;         // AbortController while the app is mounted: page listeners, in-flight loads
+let container;
+let models = {};
+let currentModelId = null;
+let particles;
+let gridHelper;
+let holographicAura;
+let clock;
+let ambientTime = 0;        // advances only while idle effects run (see scheduler.js)
+let reducedMotion = false;
+let contextLost = false;
+let contextRestoreTimer = null;
+let pendingView = null;     // a shared link's or tour step's part / camera mode, applied once its era is shown
+
+// Cap a frame's step so resuming after a pause doesn't jump ambient motion
+const MAX_FRAME_DELTA = 0.1;
+
+// How long a lost WebGL context may take to come back before the stills take over
+const CONTEXT_RESTORE_TIMEOUT = 5000;
+
+// How long a Copy Link button reads "Link Copied" (and an Export button "Failed")
+const COPY_FEEDBACK_TIME = 2000;
+
+// ─── Model Lifecycle ───
+// Built by modelCache.js as each section nears the viewport and released
+// when it is far away. Each era's manifest `model` entry picks a GLB asset or
+// a procedural creator. A slot whose model couldn't be built says so until
+// a later attempt succeeds.
+async function buildModel(eraId) {
+    const slot = getSlot(eraId);
+    const { signal } = mounted;
+    try {
+        const built = await mountModel(eraId);
+        if (slot && !signal.aborted) slot.classList.toggle('model-unavailable', !built);
+        return built;
+    } catch (err) {
+        // Undo a partial registration so the retry starts clean
+        releaseModel(eraId);
+        if (slot) slot.classList.add('model-unavailable');
+        throw err;
+    }
+}
+
+async function mountModel(eraId) {
+    const era = getEra(eraId);
+    const { signal } = mounted;
+    const model = await loadEraModel(eraId, era.model);
+    if (!model) return false;
+    if (signal.aborted) {
+        // Unmounted while loading
+        disposeObject(model.group);
+        return false;
+    }
+
+    const { group, parts } = model;
+    getScene().add(group);
+    measureModel(group); // assembled bounds for auto-framing
+
+    models[eraId] = { group, parts };
+
+    // Drawn into the era section's slot, haloed by the shared aura; the
+    // hooks scrub its transition as the slot scrolls in and out
+    registerView(eraId, getSlot(eraId), [group, holographicAura], {
+        beforeRender: view => beginTransition(eraId, view),
+        afterRender: () => endTransition(eraId)
+    });
+
+    // Set up exploded positions
+    setupExplodedView(parts);
+
+    // Part picking and keyboard browsing
+    registerPickableParts(eraId, parts);
+    registerAccessibleModel(eraId, parts);
+
+    // Optional running-mode mechanism named in the manifest
+    if (era.mechanism) registerMechanism(eraId, era.mechanism, parts);
+
+    // Manifest shader effects (energy flow, heat shimmer, packets, signals)
+    if (era.effects) registerEraEffects(eraId, parts, era.effects);
+
+    // Scroll-scrubbed handoff effect, sampled from the assembled model
+    registerTransition(eraId, group, era.transition);
+
+    // Stage stops for the playback bar's step buttons
+    registerPlaybackParts(eraId, parts);
+
+    // Last: takes on the section's current explode progress
+    registerModel(eraId, { parts });
+
+    buildHeroCarousel();
+    // Its section may already be the active one
+    if (eraId === getActiveSection()) onSectionChange(eraId);
+    invalidate();
+    return true;
+}
+
+// Undo every registration of buildModel and free the model's GPU resources
+function releaseModel(eraId) {
+    const model = models[eraId];
+    if (!model) return;
+    delete models[eraId];
+
+    if (currentModelId === eraId) showHero();
+    if (isMechanismRunning(eraId)) setMechanism(eraId, false);
+
+    unregisterView(eraId);
+    unregisterModel(eraId);
+    unregisterPickableParts(eraId);
+    unregisterAccessibleModel(eraId);
+    unregisterMechanism(eraId);
+    removeEraEffects(eraId);
+    unregisterTransition(eraId);
+    unregisterPlaybackParts(eraId);
+
+    model.group.removeFromParent();
+    disposeObject(model.group);
+    buildHeroCarousel();
+    invalidate();
+}
+
+function getSlot(eraId) {
+    return document.querySelector(`.three-visual-slot[data-era="${eraId}"]`);
+}
+
+// ─── Hero Carousel ───
+// The same era groups, re-posed on a ring for the hero slot only (see hero.js);
+// redone as models are built and released
+function buildHeroCarousel() {
+    const groups = getEras().map(era => models[era.id]?.group).filter(Boolean);
+    setHeroModels(groups);
+    setViewObjects('hero', [holographicAura, ...groups]);
+}
+
+// ─── Active Model Switching ───
+// Every on-screen slot renders its own model; the active era additionally gets
+// the main camera, picking and annotations.
+function showModel(eraId) {
+    // Models build lazily — a section entered before its model exists is picked up by buildModel
+    if (currentModelId === eraId || !models[eraId]) return;
+
+    currentModelId = eraId;
+    setActiveView(eraId, getCamera());
+    setPickingEra(eraId);
+    setAnnotationEra(eraId, models[eraId].parts);
+    setAccessibleEra(eraId);
+}
+
+function showHero() {
+    currentModelId = null;
+    setActiveView('hero', getCamera());
+    setPickingEra(null);
+    setAnnotationEra(null);
+    setAccessibleEra(null);
+}
+
+// ─── Section Change Handler ───
+function onSectionChange(newSection, prevSection) {
+    // Leaving a section releases its held explode state unless it is locked
+    // (see scrollController.js), and stops its playback
+    if (prevSection) {
+        onPlaybackSectionChange(prevSection);
+        syncExplodeControls(prevSection);
+        updateStaticView(prevSection, getExplodeProgress(prevSection));
+    }
+
+    const era = getEra(newSection);
+    // Built first and kept while active (see modelCache.js)
+    setActiveModel(era ? newSection : null);
+    if (era) {
+        // The slot was already on screen through its own camera, so cut rather than glide
+        frameEra(newSection, models[newSection]?.group, era.camera, {
+            immediate: true,
+            progress: getExplodeProgress(newSection)
+        });
+        showModel(newSection);
+    } else {
+        // Hero or unknown section — the main camera returns to the hero slot
+        frameEra(null, null, getDefaultCamera(), { immediate: true });
+        showHero();
+    }
+
+    // Orbit inspection is per model — glide back to the new cinematic framing
+    onCameraSectionChange();
+
+    updateURLState({
+        era: era ? newSection : null,
+        explode: era ? explodeParam(newSection) : null,
+        part: null,
+        camera: null
+    });
+    applyPendingView();
+}
+
+// ─── Shared Links ───
+// Explode progress as written to the URL: omitted while assembled
+function explodeParam(eraId) {
+    const progress = getExplodeProgress(eraId);
+    return progress > 0 ? progress : null;
+}
+
+// The link's era is scrolled to and its explode held by initScrollTriggers
+// (a tour step's by applyTourStep); the selected part and inspection wait
+// until that model is built and shown
+function applyPendingView() {
+    const pending = pendingView;
+    if (!pending || pending.era !== currentModelId || !models[pending.era]) return;
+    pendingView = null;
+
+    const { group, parts } = models[pending.era];
+    const part = pending.part && parts.find(p => p.mesh.name === pending.part);
+    if (part) selectPart(part);
+    else if (getSelectedPart()) selectPart(null);
+    if (pending.camera === 'inspect') enterInspection(pending.era, group);
+}
+
+// One "Copy Link" button per era: the current view if it's the era in view
+function bindCopyLinkButtons() {
+    document.addEventListener('click', async (e) => {
+        const button = e.target.closest('.copy-link');
+        if (!button) return;
+
+        if (!await copyShareLink(button.dataset.era)) return;
+        button.textContent = 'Link Copied';
+        announce('Link copied');
+        setTimeout(() => { button.textContent = 'Copy Link'; }, COPY_FEEDBACK_TIME);
+    }, { signal: mounted.signal });
+}
+
+// ─── Mechanism Toggles ───
+// One "Run Mechanism" button per era section; state is per section
+function setMechanism(eraId, on) {
+    setMechanismRunning(eraId, on);
+    setContinuous(`mechanism:${eraId}`, on);
+    invalidate();
+    const button = document.querySelector(`.mechanism-toggle[data-era="${eraId}"]`);
+    if (!button) return;
+    button.setAttribute('aria-pressed', String(on));
+    button.textContent = on ? 'Stop Mechanism' : 'Run Mechanism';
+}
+
+function bindMechanismToggles() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.mechanism-toggle');
+        if (!button) return;
+
+        const eraId = button.dataset.era;
+        setMechanism(eraId, !isMechanismRunning(eraId));
+    }, { signal: mounted.signal });
+}
+
+// ─── Explode Toggles ───
+// One "Explode" button per era: the only control under reduced motion, and a
+// scroll-free alternative otherwise (held until the section is left). The
+// playback bar (playback.js) holds finer positions the same way.
+function syncExplodeControls(eraId) {
+    syncPlaybackBar(eraId);
+    const button = document.querySelector(`.explode-toggle[data-era="${eraId}"]`);
+    if (!button) return;
+    const exploded = getExplodeState(eraId);
+    const text = exploded ? 'Assemble' : 'Explode';
+    if (button.textContent === text) return;
+    button.setAttribute('aria-pressed', String(exploded));
+    button.textContent = text;
+}
+
+// An era's explode progress moved (scroll, button or playback): camera, still, controls, link
+function followExplode(eraId) {
+    setCameraProgress(eraId, getExplodeProgress(eraId));
+    updateStaticView(eraId, getExplodeProgress(eraId));
+    syncExplodeControls(eraId);
+    if (eraId === getActiveSection()) updateURLState({ explode: explodeParam(eraId) });
+    invalidate(); // scrubbed explode keeps easing after the scroll stops
+}
+
+function bindExplodeToggles() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.explode-toggle');
+        if (!button) return;
+
+        const eraId = button.dataset.era;
+        stopPlayback(eraId);
+        setExplodeState(eraId, !getExplodeState(eraId));
+        followExplode(eraId);
+    }, { signal: mounted.signal });
+}
+
+// Slider, play/pause, stage steps and scroll lock under each slot
+function bindPlaybackControls() {
+    initPlayback();
+    setOnPlaybackChange(followExplode);
+}
+
+// ─── Guided Tour ───
+// tour.js times the script (data/tour.json) and shows the captions; each step
+// is applied here like a shared link. Without WebGL only the era and explode apply.
+function showTourStep(step) {
+    if (step.era !== getActiveSection()) scrollToSection(step.era);
+    if (step.explode !== null) glideExplode(step.era, step.explode);
+}
+
+function applyTourStep(step) {
+    showTourStep(step);
+    exitInspection();
+    setCameraPoseOverride(step.era, step.camera);
+    pendingView = { era: step.era, part: step.part, camera: null };
+    applyPendingView();
+}
+
+// The Guided Tour buttons stay hidden unless the script loads
+function bindTour(applyStep) {
+    const { signal } = mounted;
+    loadTour().then(script => {
+        if (signal.aborted) return;
+        setOnTourStep(applyStep);
+        setOnTourEnd(() => setCameraPoseOverride(null, null));
+        initTour(script);
+    }).catch(err => {
+        console.warn('Guided tour unavailable:', err.message);
+    });
+}
+
+// ─── Export ───
+// Each era's Export menu downloads its model, assembled or as currently exploded
+function bindExportButtons() {
+    document.addEventListener('click', async (e) => {
+        const button = e.target.closest('.export-model');
+        if (!button) return;
+
+        const eraId = button.dataset.era;
+        const menu = button.closest('.export-menu');
+        const exploded = !!menu?.querySelector('.export-exploded')?.checked;
+        button.disabled = true;
+        try {
+            // Not built yet (or released): build it now
+            if (!models[eraId]) await requestModel(eraId);
+            const model = models[eraId];
+            if (!model) throw new Error('model unavailable');
+            await exportModel(model, { format: button.dataset.format, exploded, name: eraId });
+            if (menu) menu.open = false;
+        } catch (err) {
+            console.error(`Export of "${eraId}" failed:`, err);
+            button.textContent = 'Failed';
+            announce('Export failed');
+            setTimeout(() => { button.textContent = button.dataset.format.toUpperCase(); }, COPY_FEEDBACK_TIME);
+        }
+        button.disabled = false;
+    }, { signal: mounted.signal });
+}
+
+// ─── Reduced Motion ───
+// Ambient animation freezes, explode steps, transitions and camera moves cut
+function applyMotionPreference(reduced) {
+    reducedMotion = reduced;
+    setIdleEffects(!reduced && new URLSearchParams(window.location.search).get('idle') !== 'off');
+    setDiscreteExplode(reduced);
+    setTransitionsEnabled(!reduced);
+    setCameraGlides(!reduced);
+
+    const active = getActiveSection();
+    if (getEra(active)) setCameraProgress(active, getExplodeProgress(active));
+    getEras().forEach(era => {
+        syncExplodeControls(era.id);
+        updateStaticView(era.id, getExplodeProgress(era.id));
+    });
+    invalidate();
+}
+
+// ─── Inspection Toggles ───
+function bindInspectionToggles() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.inspect-toggle');
+        if (!button) return;
+
+        const model = models[button.dataset.era];
+        if (model) toggleInspection(button.dataset.era, model.group);
+    }, { signal: mounted.signal });
+
+    setOnInspectionChange((inspecting, eraId) => {
+        // Orbit damping needs every frame while inspecting
+        setContinuous('inspection', inspecting);
+        document.querySelectorAll('.inspect-toggle').forEach(button => {
+            const on = inspecting && button.dataset.era === eraId;
+            button.setAttribute('aria-pressed', String(on));
+            button.textContent = on ? 'Exit Inspection' : 'Inspect';
+        });
+        updateURLState({ camera: inspecting ? 'inspect' : null });
+    });
+}
+
+// ─── Animate Particles ───
+// The drift accumulates per frame, so it is skipped (not just slowed) while ambient motion is frozen
+function animateParticles(time) {
+    if (!particles || !areIdleEffectsEnabled()) return;
+    const positions = particles.geometry.attributes.position.array;
+    for (let i = 0; i < positions.length; i += 3) {
+        positions[i + 1] += Math.sin(time + positions[i] * 0.5) * 0.001;
+    }
+    particles.geometry.attributes.position.needsUpdate = true;
+    particles.rotation.y = time * 0.02;
+}
+
+// ─── Animate Holographic Aura ───
+function animateAura(time) {
+    if (!holographicAura) return;
+    holographicAura.rotation.x = time * 0.1;
+    holographicAura.rotation.y = time * 0.15;
+    holographicAura.rotation.z = time * 0.05;
+}
+
+// ─── Secondary Slot Cameras ───
+// Slots scrolling in or out alongside the active one hold their own cinematic pose
+function poseSlotCameras() {
+    getVisibleViews().forEach(view => {
+        if (view.camera !== view.ownCamera) return;
+        const era = getEra(view.key);
+        if (era) {
+            poseCamera(view.camera, models[view.key]?.group, era.camera, getExplodeProgress(view.key));
+        } else {
+            poseCamera(view.camera, null, getDefaultCamera());
+        }
+    });
+}
+
+// ─── Render Frame ───
+// Driven by scheduler.js; returns whether any slot is on screen so the loop can sleep
+function renderFrame(now, steady) {
+    if (contextLost) return false;
+
+    const delta = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
+    const time = clock.elapsedTime;
+    if (areIdleEffectsEnabled()) ambientTime += delta;
+    updateQuality(now, steady);
+
+    // Animate environment
+    animateParticles(ambientTime);
+    animateAura(ambientTime);
+    // Reduced motion: the hero cuts to the first era halfway instead of scrubbing
+    const heroProgress = getSectionProgress('hero');
+    updateHero(ambientTime, reducedMotion ? Math.round(heroProgress) : heroProgress);
+
+    // Running-mode mechanisms (pistons, rotors, blinking LEDs)
+    updateMechanisms(time);
+
+    // Track slot rects; cameras take on their slot's aspect
+    updateViews(container);
+
+    // Cinematic pose (scroll keyframes) or orbit damping while inspecting
+    updateCameraController();
+    poseSlotCameras();
+
+    // One shared clock for every part effect
+    updateEffects(ambientTime);
+
+    // Keep the inspection callout and leader-line labels pinned to their parts
+    updatePicking();
+    updateAnnotations(currentModelId ? getExplodeProgress(currentModelId) : 0);
+
+    // Subtle grid pulse
+    if (gridHelper) {
+        gridHelper.material.opacity = 0.2 + Math.sin(ambientTime * 0.5) * 0.05;
+    }
+
+    // Render every visible slot, then bloom
+    const composer = getComposer();
+    if (composer) {
+        composer.render();
+    }
+
+    return getVisibleViews().length > 0;
+}
+
+// ─── WebGL Context Loss ───
+// Three.js re-uploads buffers and recompiles programs on restore; the models
+// are rebuilt outright since their patched materials and overlays are
+// registered across several modules. If the context never returns, the stills take over.
+function rebuildModels() {
+    getScene().traverse(child => {
+        if (!child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+            material.needsUpdate = true;
+        });
+    });
+
+    // Released, then rebuilt as they are needed — the active one first
+    reloadModels();
+    invalidate();
+}
+
+function onContextLost(e) {
+    e.preventDefault(); // lets the browser restore the context
+    contextLost = true;
+    document.documentElement.classList.add('webgl-context-lost');
+
+    clearTimeout(contextRestoreTimer);
+    contextRestoreTimer = setTimeout(() => {
+        stopRenderLoop();
+        showStaticFallback(getEras(), 'the WebGL context was lost and not restored');
+        getEras().forEach(era => updateStaticView(era.id, getExplodeProgress(era.id)));
+    }, CONTEXT_RESTORE_TIMEOUT);
+}
+
+function onContextRestored() {
+    clearTimeout(contextRestoreTimer);
+    if (isStaticFallbackActive()) return;
+
+    contextLost = false;
+    document.documentElement.classList.remove('webgl-context-lost');
+    resize(container);
+    rebuildModels();
+}
+
+// ─── Static Fallback ───
+// No WebGL at all: stills in the slots, still driven by scroll and the explode buttons
+function initStaticApp(reason, urlState) {
+    showStaticFallback(getEras(), reason);
+
+    setOnSectionChange((newSection, prevSection) => {
+        updateURLState({ era: getEra(newSection) ? newSection : null, explode: explodeParam(newSection) });
+        if (!prevSection) return;
+        onPlaybackSectionChange(prevSection);
+        syncExplodeControls(prevSection);
+        updateStaticView(prevSection, getExplodeProgress(prevSection));
+    });
+    setOnProgress(sectionId => {
+        updateStaticView(sectionId, getExplodeProgress(sectionId));
+        syncExplodeControls(sectionId);
+        if (sectionId === getActiveSection()) updateURLState({ explode: explodeParam(sectionId) });
+    });
+    bindExplodeToggles();
+    bindPlaybackControls();
+    bindCopyLinkButtons();
+    initScrollTriggers(getEras().map(era => era.id), { section: urlState.era, progress: urlState.explode });
+    bindTour(showTourStep);
+
+    onMotionPreferenceChange(reduced => {
+        setDiscreteExplode(reduced);
+        getEras().forEach(era => {
+            syncExplodeControls(era.id);
+            updateStaticView(era.id, getExplodeProgress(era.id));
+        });
+    });
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Mount the app on the page's markup (#three-container, #eraSections, …).
+ * Options: maxModels — era models kept built at once (the hero carousel
+ * keeps every one while it is near); idle — prefetch models in idle time.
+ */
+export async function initApp({ maxModels = MAX_RESIDENT_MODELS, idle = true } = {}) {
+    if (mounted) return;
+    mounted = new AbortController();
+    const { signal } = mounted;
+
+    // The static hero fades in whether or not the manifest arrives
+    observeReveals();
+
+    // Era manifest drives the page sections as well as the 3D content
+    try {
+        await loadTimeline();
+    } catch (err) {
+        console.error(err);
+        if (signal.aborted) return;
+        renderTimelineError();
+        mounted = null;
+        return;
+    }
+    if (signal.aborted) return; // unmounted while loading
+    renderTimeline(getEras());
+
+    // OS reduced-motion setting, or the footer toggle's saved override
+    initMotionPreference();
+
+    // A shared link (#era?explode=…&part=…&camera=…) to restore
+    const urlState = readURLState();
+
+    container = document.getElementById('three-container');
+    if (!container) {
+        initStaticApp('#three-container not found', urlState);
+        return;
+    }
+    if (!isWebGLAvailable()) {
+        initStaticApp('WebGL is not available', urlState);
+        return;
+    }
+
+    clock = new THREE.Clock();
+
+    // Init scene, camera, renderer, bloom — renderer creation can still fail
+    // (blocklisted GPU, too many contexts)
+    try {
+        initScene(container);
+    } catch (err) {
+        initStaticApp(err.message, urlState);
+        return;
+    }
+    const scene = getScene();
+
+    const canvas = getRenderer().domElement;
+    canvas.addEventListener('webglcontextlost', onContextLost, { signal });
+    canvas.addEventListener('webglcontextrestored', onContextRestored, { signal });
+
+    // Lighting
+    setupLighting(scene);
+
+    // Click-to-inspect part picking and exploded-view annotations
+    initPicking();
+    initAnnotations();
+
+    // Keyboard part browsing, screen-reader announcements and model descriptions
+    initAccessibility(getEras());
+    setOnPartSelect((part, eraId) => {
+        onPartSelected(part, eraId);
+        updateURLState({ part: part ? part.mesh.name : null });
+    });
+
+    // Free-orbit inspection mode
+    initCameraController(getCamera());
+
+    // Environment
+    gridHelper = createGridFloor(scene);
+    particles = createParticles(scene);
+
+    // Holographic aura
+    holographicAura = createHolographicAura(3.5);
+    scene.add(holographicAura);
+
+    // Hero slot — the aura, joined by the era carousel once the models are built
+    registerView('hero', document.getElementById('heroVisualSlot'), [holographicAura], {
+        beforeRender: applyHeroLayout,
+        afterRender: restoreHeroLayout
+    });
+    setActiveView('hero', getCamera());
+
+    // Adaptive quality — pixel ratio, bloom, shadows, particle density, overlays
+    initQuality({
+        renderer: getRenderer(),
+        composer: getComposer(),
+        bloomPass: getBloomPass(),
+        scene,
+        particles
+    });
+
+    // Section change callback
+    setOnSectionChange(onSectionChange);
+    setOnProgress(followExplode);
+    bindMechanismToggles();
+    bindInspectionToggles();
+    bindExplodeToggles();
+    bindPlaybackControls();
+    bindExportButtons();
+    bindCopyLinkButtons();
+
+    // Initialize GSAP ScrollTrigger bindings, jumping to a shared link's era
+    if (getEra(urlState.era)) pendingView = urlState;
+    initScrollTriggers(getEras().map(era => era.id), { section: urlState.era, progress: urlState.explode });
+
+    // Models are built as their sections near the viewport, the active one
+    // (e.g. a shared link's era) straight away
+    initModelCache(getEras().map(era => era.id), { build: buildModel, release: releaseModel, maxResident: maxModels, idle });
+    setActiveModel(getEra(getActiveSection()) ? getActiveSection() : null);
+
+    // Guided tour from data/tour.json, if there is one
+    bindTour(applyTourStep);
+
+    // Handle resize
+    window.addEventListener('resize', onResize, { signal });
+    onResize();
+
+    // Reduced motion, like ?idle=off (kiosks, battery), freezes ambient motion
+    // so frames are only drawn on scroll and interaction
+    onMotionPreferenceChange(applyMotionPreference);
+    startRenderLoop(renderFrame);
+}
+
+function onResize() {
+    if (!container) return;
+    resize(container);
+
+    // Refresh ScrollTrigger positions after layout changes
+    if (typeof ScrollTrigger !== 'undefined') {
+        ScrollTrigger.refresh();
+    }
+}
+
+/**
+ * Unmount: stop rendering, remove every listener and scroll trigger, release
+ * all models and free the WebGL context. The page markup is left in place;
+ * initApp can mount again.
+ */
+export function disposeApp() {
+    if (!mounted) return;
+    mounted.abort();
+    mounted = null;
+    stopRenderLoop();
+    clearTimeout(contextRestoreTimer);
+
+    // The tour drives the camera, explode and selection — stop it before them
+    disposeTour();
+    // Models first, while the modules they are registered with are still up
+    disposeModelCache();
+    disposeScrollTriggers();
+    disposePicking();
+    disposeAnnotations();
+    disposeAccessibility();
+    disposeCameraController();
+    disposeHero();
+    disposeEffects();
+    disposeTransitions();
+    disposeMechanisms();
+    disposePlayback();
+    disposeViewports();
+    disposeQuality();
+    disposeMotionPreference();
+    disposeTimeline();
+    disposeURLState();
+    disposeStaticFallback();
+    disposeModelLoader();
+    // Environment, aura, lights, post-processing, the context and its canvas
+    disposeScene();
+
+    models = {};
+    currentModelId = null;
+    particles = null;
+    gridHelper = null;
+    holographicAura = null;
+    container = null;
+    clock = null;
+    ambientTime = 0;
+    reducedMotion = false;
+    contextLost = false;
+    pendingView = null;
+    document.documentElement.classList.remove('webgl-context-lost');
+}
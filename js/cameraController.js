@@ -0,0 +1,407 @@
+// cameraController.js — Per-era cinematic framing, scroll keyframes and free-orbit inspection
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { invalidate } from './scheduler.js';
+
+const TRANSITION_DURATION = 1.0;
+const RETURN_DURATION = 0.8;
+
+// Auto-framing: view direction of the classic (0, 1.5, 8) pose, backed off by
+// FIT_MARGIN so the box's bounding sphere clears the slot edges (it touches
+// them along the box diagonal otherwise). The frustum is the model's slot
+// (see viewports.js), so narrow layouts fit by aspect alone.
+const FIT_DIRECTION = new THREE.Vector3(0, 1.5, 8).normalize();
+const FIT_MARGIN = 1.1;
+
+// Orbit bounds — users can't lose the model
+const MIN_DISTANCE = 3;
+const MAX_DISTANCE = 14;
+const PAN_LIMIT = 1.5;      // max target offset from the model centre, world units
+
+let camera = null;
+
+// Cinematic state — the framed era's model + manifest camera spec, and its scroll progress
+let framedGroup = null;
+let framedSpec = {};
+let scrollProgress = 0;
+let framedEraId = null;
+let poseOverride = null;    // { eraId, key } — a fixed keyframe (a tour step) in place of the scroll keyframes
+
+let transition = null;      // GSAP tween while gliding between poses
+let glides = true;          // off under reduced motion: every move is a cut
+
+// Inspection state
+let controls = null;
+let inspecting = false;
+let activeEraId = null;
+let onChangeCallback = null;
+let modelCenter = new THREE.Vector3();
+let savedTouchAction = '';
+let wheelGuardEl = null;
+
+const spherical = new THREE.Spherical();
+const scratchOffset = new THREE.Vector3();
+
+// ═══════════════════════════════════════════
+// FRAMING
+// ═══════════════════════════════════════════
+
+/**
+ * Record the model's assembled bounding sphere so framing doesn't depend on
+ * how exploded it happens to be when its section is entered.
+ */
+export function measureModel(group) {
+    group.updateMatrixWorld(true);
+    group.userData.boundingSphere = new THREE.Box3().setFromObject(group).getBoundingSphere(new THREE.Sphere());
+}
+
+/**
+ * Fit the model's bounding sphere into a frustum of the given aspect along FIT_DIRECTION.
+ */
+function fitFraming(group, fov, aspect) {
+    if (!group.userData.boundingSphere) measureModel(group);
+    const sphere = group.userData.boundingSphere;
+    const vFov = THREE.MathUtils.degToRad(fov);
+    const hFov = 2 * Math.atan(Math.tan(vFov / 2) * Math.max(aspect, 0.01));
+    const distance = sphere.radius / Math.sin(Math.min(vFov, hFov) / 2) * FIT_MARGIN;
+
+    return {
+        position: sphere.center.clone().addScaledVector(FIT_DIRECTION, distance),
+        target: sphere.center.clone()
+    };
+}
+
+/**
+ * Base framing for a model: explicit manifest position/target/fov win, anything
+ * missing is fitted to the model's bounding box. group = null gives the hero pose.
+ */
+function resolveFraming(group, spec, aspect) {
+    const fov = spec.fov ?? 45;
+    const fitted = group && (!spec.position || !spec.target)
+        ? fitFraming(group, fov, aspect)
+        : { position: new THREE.Vector3(0, 1.5, 8), target: new THREE.Vector3(0, 0, 0) };
+
+    return {
+        position: spec.position ? new THREE.Vector3(...spec.position) : fitted.position,
+        target: spec.target ? new THREE.Vector3(...spec.target) : fitted.target,
+        fov
+    };
+}
+
+// Keyframes are relative to the base framing: { at, azimuth, elevation, distance, fov }
+function normalizeKey(k, fov) {
+    return {
+        at: k.at ?? 0,
+        azimuth: k.azimuth ?? 0,
+        elevation: k.elevation ?? 0,
+        distance: k.distance ?? 1,
+        fov: k.fov ?? fov
+    };
+}
+
+function sampleKeyframes(keyframes, progress, fov) {
+    if (!keyframes || !keyframes.length) return null;
+    const keys = keyframes
+        .map(k => normalizeKey(k, fov))
+        .sort((a, b) => a.at - b.at);
+
+    if (progress <= keys[0].at) return keys[0];
+    const last = keys[keys.length - 1];
+    if (progress >= last.at) return last;
+
+    const i = keys.findIndex(k => k.at > progress);
+    const a = keys[i - 1];
+    const b = keys[i];
+    const t = (progress - a.at) / (b.at - a.at);
+    const s = t * t * (3 - 2 * t);
+    const lerp = key => a[key] + (b[key] - a[key]) * s;
+
+    return { azimuth: lerp('azimuth'), elevation: lerp('elevation'), distance: lerp('distance'), fov: lerp('fov') };
+}
+
+/**
+ * The cinematic pose of a model's camera spec at a scroll progress, for a
+ * viewport of the given aspect.
+ */
+function poseFor(group, spec, progress, aspect, override = null) {
+    const framing = resolveFraming(group, spec, aspect);
+    const target = framing.target;
+    const offset = scratchOffset.copy(framing.position).sub(target);
+    let fov = framing.fov;
+
+    const key = override ? normalizeKey(override, fov) : sampleKeyframes(spec.keyframes, progress, fov);
+    if (key) {
+        spherical.setFromVector3(offset);
+        spherical.theta += key.azimuth;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi - key.elevation, 0.05, Math.PI - 0.05);
+        spherical.radius *= key.distance;
+        offset.setFromSpherical(spherical);
+        fov = key.fov;
+    }
+
+    return { position: target.clone().add(offset), target, fov };
+}
+
+/**
+ * The cinematic pose for the framed era, its scroll progress and slot aspect.
+ */
+export function getCinematicPose() {
+    const override = poseOverride && poseOverride.eraId === framedEraId ? poseOverride.key : null;
+    return poseFor(framedGroup, framedSpec, scrollProgress, camera ? camera.aspect : 1, override);
+}
+
+/**
+ * Pose a secondary slot camera (a model partly on screen that isn't the active
+ * era) at its own cinematic framing.
+ */
+export function poseCamera(cam, group, spec = {}, progress = 0) {
+    applyPose(poseFor(group, spec, progress, cam.aspect), cam);
+}
+
+function applyPose(pose, cam = camera) {
+    cam.position.copy(pose.position);
+    cam.lookAt(pose.target);
+    if (cam.fov !== pose.fov) {
+        cam.fov = pose.fov;
+        cam.updateProjectionMatrix();
+    }
+}
+
+function killTransition() {
+    if (transition) {
+        transition.kill();
+        transition = null;
+    }
+}
+
+/**
+ * Glide from the camera's current pose to the live cinematic pose, which is
+ * re-evaluated every tick so keyframes keep playing during the move.
+ */
+function transitionToCinematic(duration, lookFrom) {
+    killTransition();
+
+    if (!glides) {
+        applyPose(getCinematicPose());
+        invalidate();
+        return;
+    }
+
+    const startPos = camera.position.clone();
+    const startFov = camera.fov;
+    const startTarget = lookFrom || camera.getWorldDirection(new THREE.Vector3())
+        .multiplyScalar(camera.position.distanceTo(getCinematicPose().target))
+        .add(camera.position);
+    const lookAt = new THREE.Vector3();
+    const state = { t: 0 };
+
+    transition = gsap.to(state, {
+        t: 1,
+        duration,
+        ease: 'power2.inOut',
+        onUpdate: () => {
+            const pose = getCinematicPose();
+            camera.position.lerpVectors(startPos, pose.position, state.t);
+            camera.lookAt(lookAt.lerpVectors(startTarget, pose.target, state.t));
+            camera.fov = startFov + (pose.fov - startFov) * state.t;
+            camera.updateProjectionMatrix();
+            invalidate();
+        },
+        onComplete: () => {
+            transition = null;
+        }
+    });
+}
+
+/**
+ * Frame an era from its manifest camera spec (see resolveFraming). Pass
+ * group = null for the hero pose.
+ */
+export function frameEra(eraId, group, spec = {}, { immediate = false, progress = 0 } = {}) {
+    framedGroup = group || null;
+    framedSpec = spec;
+    framedEraId = eraId;
+    scrollProgress = progress;
+
+    // Inspection owns the camera; exitInspection glides to the new framing
+    if (inspecting || !camera) return;
+
+    if (immediate) {
+        killTransition();
+        applyPose(getCinematicPose());
+    } else {
+        transitionToCinematic(TRANSITION_DURATION);
+    }
+}
+
+/**
+ * Scroll progress (0–1) of the framed era's section, driving its keyframes.
+ */
+export function setCameraProgress(eraId, progress) {
+    if (eraId === framedEraId) scrollProgress = progress;
+}
+
+/**
+ * Hold an era's camera at one keyframe-style pose ({ azimuth, elevation,
+ * distance, fov } relative to its framing) instead of following scroll;
+ * null hands it back to scroll. Glides if the framed era's pose changes.
+ */
+export function setCameraPoseOverride(eraId, pose) {
+    const previous = poseOverride;
+    poseOverride = pose ? { eraId, key: pose } : null;
+    const affectsFramed = framedEraId === eraId || (previous && previous.eraId === framedEraId);
+    if ((previous || pose) && affectsFramed && camera && !inspecting) transitionToCinematic(TRANSITION_DURATION);
+}
+
+/**
+ * Reduced motion: cut straight to new poses instead of gliding, and orbit
+ * without inertia.
+ */
+export function setCameraGlides(on) {
+    glides = on;
+    if (!on && transition) {
+        killTransition();
+        applyPose(getCinematicPose());
+    }
+    if (controls) controls.enableDamping = on;
+}
+
+// ═══════════════════════════════════════════
+// INSPECTION
+// ═══════════════════════════════════════════
+
+function getSlot(eraId) {
+    return document.querySelector(`.three-visual-slot[data-era="${eraId}"]`);
+}
+
+// Keep the orbit target within reach of the model centre
+function clampTarget() {
+    const offset = controls.target.clone().sub(modelCenter);
+    if (offset.length() > PAN_LIMIT) {
+        controls.target.copy(modelCenter).add(offset.setLength(PAN_LIMIT));
+    }
+}
+
+// Plain wheel scrolling keeps driving the page (and the explode animation);
+// only ctrl/pinch-wheel reaches OrbitControls as zoom
+function guardWheel(e) {
+    if (!e.ctrlKey) e.stopPropagation();
+}
+
+function disposeControls() {
+    if (!controls) return;
+    controls.dispose();
+    controls.domElement.style.touchAction = savedTouchAction;
+    controls = null;
+
+    if (wheelGuardEl) {
+        wheelGuardEl.removeEventListener('wheel', guardWheel, true);
+        wheelGuardEl = null;
+    }
+}
+
+function notify() {
+    if (onChangeCallback) onChangeCallback(inspecting, activeEraId);
+}
+
+export function initCameraController(cam) {
+    camera = cam;
+    applyPose(getCinematicPose());
+}
+
+export function setOnInspectionChange(callback) {
+    onChangeCallback = callback;
+}
+
+export function isInspecting() {
+    return inspecting;
+}
+
+/**
+ * Hand the camera to damped orbit/zoom/pan controls centred on the era's
+ * model. Pointer input is captured on the era's .three-visual-slot.
+ */
+export function enterInspection(eraId, group) {
+    if (!camera) return;
+    const slot = getSlot(eraId);
+    if (!slot) return;
+
+    killTransition();
+    disposeControls();
+
+    modelCenter = new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+
+    savedTouchAction = slot.style.touchAction;
+    controls = new OrbitControls(camera, slot);
+    controls.enableDamping = glides;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = MIN_DISTANCE;
+    // Narrow slots frame from further out: don't snap in when inspection starts
+    controls.maxDistance = Math.max(MAX_DISTANCE, camera.position.distanceTo(modelCenter));
+    controls.minPolarAngle = 0.15;
+    controls.maxPolarAngle = Math.PI * 0.85;
+    controls.target.copy(modelCenter);
+    controls.addEventListener('change', clampTarget);
+    controls.update();
+
+    wheelGuardEl = slot.parentElement;
+    wheelGuardEl.addEventListener('wheel', guardWheel, true);
+
+    inspecting = true;
+    activeEraId = eraId;
+    document.body.classList.add('inspecting');
+    notify();
+}
+
+/**
+ * Leave inspection and glide back to the cinematic framing.
+ */
+export function exitInspection() {
+    if (!inspecting) return;
+
+    const from = controls ? controls.target.clone() : modelCenter.clone();
+    disposeControls();
+    inspecting = false;
+    document.body.classList.remove('inspecting');
+    notify();
+    activeEraId = null;
+
+    transitionToCinematic(RETURN_DURATION, from);
+}
+
+export function toggleInspection(eraId, group) {
+    if (inspecting && activeEraId === eraId) {
+        exitInspection();
+    } else {
+        enterInspection(eraId, group);
+    }
+}
+
+/**
+ * Section changed — inspection is per model, so return to the cinematic camera.
+ */
+export function onCameraSectionChange() {
+    exitInspection();
+}
+
+/**
+ * Per-frame: orbit damping while inspecting, otherwise hold the cinematic
+ * pose (which follows scroll keyframes and the slot's aspect).
+ */
+export function updateCameraController() {
+    if (!camera) return;
+    if (controls) {
+        controls.update();
+    } else if (!transition) {
+        applyPose(getCinematicPose());
+    }
+}
+
+export function disposeCameraController() {
+    killTransition();
+    disposeControls();
+    inspecting = false;
+    activeEraId = null;
+    poseOverride = null;
+    document.body.classList.remove('inspecting');
+}
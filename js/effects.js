@@ -0,0 +1,112 @@
+// effects.js — Shader effect layers on parts, declared per era in the timeline manifest
+import * as THREE from 'three';
+import { createEffectMaterial, updateShaderEffects, EFFECT_TYPES } from './shaders.js';
+
+const SHELL_SCALE = 1.01;   // just outside the part, like the wireframe overlay
+
+let layers = {};            // eraId → [{ part, mesh, layer, type }]
+let effectsVisible = true;  // quality.js can switch every layer off
+
+// 'cable_*' → /^cable_.*$/ — plain names match exactly
+function matcher(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+// Longest local axis of the geometry: travelling effects run along it
+function measureAxis(geometry) {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    const size = new THREE.Vector3().subVectors(max, min);
+    const key = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+    const axis = new THREE.Vector3();
+    axis[key] = 1;
+    return { axis, start: min[key], length: Math.max(size[key], 0.0001) };
+}
+
+/**
+ * Attach an effect shell to a mesh. The shell is parented to it so it
+ * follows the part through the exploded view and running mode.
+ */
+export function attachEffect(mesh, type, opts = {}) {
+    const material = createEffectMaterial(type, { ...measureAxis(mesh.geometry), ...opts });
+    if (!material) return null;
+
+    const layer = new THREE.Mesh(mesh.geometry, material);
+    layer.scale.setScalar(SHELL_SCALE);
+    layer.raycast = () => { };
+    layer.userData.isEffectLayer = true;
+    layer.visible = effectsVisible;
+    mesh.add(layer);
+    mesh.userData.effect = layer;
+    return layer;
+}
+
+/**
+ * Apply an era's manifest `effects` list — [{ parts: 'cable_*', effect: 'energyFlow', … }].
+ * Matching parts are offset in order so cascading effects (signal) ripple through them.
+ */
+export function registerEraEffects(eraId, parts, specs = []) {
+    removeEraEffects(eraId);
+    layers[eraId] = [];
+
+    specs.forEach(spec => {
+        if (!EFFECT_TYPES.includes(spec.effect)) {
+            console.warn(`Unknown effect "${spec.effect}" for era "${eraId}"`);
+            return;
+        }
+        const test = matcher(spec.parts || '');
+        const matched = parts.filter(p => test.test(p.mesh.name));
+
+        matched.forEach((part, i) => {
+            const opts = {
+                color: spec.color,
+                intensity: spec.intensity,
+                speed: spec.speed,
+                offset: (spec.offset ?? 0) + (matched.length > 1 ? i / matched.length : 0)
+            };
+
+            // GLB parts may be nodes wrapping several meshes
+            part.mesh.traverse(child => {
+                if (!child.isMesh || child.userData.isWireframeOverlay || child.userData.isEffectLayer) return;
+                const layer = attachEffect(child, spec.effect, opts);
+                if (layer) layers[eraId].push({ part, mesh: child, layer, type: spec.effect });
+            });
+        });
+
+        if (!matched.length) console.warn(`Effect "${spec.effect}" in era "${eraId}" matched no parts (${spec.parts})`);
+    });
+}
+
+export function getEraEffects(eraId) {
+    return layers[eraId] || [];
+}
+
+/**
+ * Show or hide every effect layer (e.g. for lower quality tiers).
+ */
+export function setEffectsVisible(visible) {
+    effectsVisible = visible;
+    Object.values(layers).forEach(list => list.forEach(({ layer }) => { layer.visible = visible; }));
+}
+
+/**
+ * Per-frame: one shared time uniform drives every effect material.
+ */
+export function updateEffects(time) {
+    updateShaderEffects(time);
+}
+
+export function removeEraEffects(eraId) {
+    (layers[eraId] || []).forEach(({ mesh, layer }) => {
+        layer.removeFromParent();
+        layer.material.dispose();
+        if (mesh.userData.effect === layer) delete mesh.userData.effect;
+    });
+    delete layers[eraId];
+}
+
+export function disposeEffects() {
+    Object.keys(layers).forEach(removeEraEffects);
+    layers = {};
+}
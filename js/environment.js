@@ -0,0 +1,61 @@
+// environment.js — Backdrop shared by the page and the snapshot tool: grid floor and floating particles
+import * as THREE from 'three';
+
+// ─── Grid Floor ───
+export function createGridFloor(scene) {
+    const gridHelper = new THREE.GridHelper(30, 40, 0x111133, 0x0a0a1a);
+    gridHelper.position.y = -2.5;
+    gridHelper.material.opacity = 0.3;
+    gridHelper.material.transparent = true;
+    scene.add(gridHelper);
+
+    // Fade plane beneath grid
+    const fadePlane = new THREE.Mesh(
+        new THREE.PlaneGeometry(30, 30),
+        new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            transparent: true,
+            opacity: 0.7,
+            depthWrite: false
+        })
+    );
+    fadePlane.rotation.x = -Math.PI / 2;
+    fadePlane.position.y = -2.51;
+    scene.add(fadePlane);
+
+    return gridHelper;
+}
+
+// ─── Floating Particles ───
+// Allocated at full density; quality.js trims the draw range per tier. Pass a
+// seeded random (random.js) for a repeatable scatter.
+export function createParticles(scene, random = Math.random) {
+    const count = 800;
+    const positions = new Float32Array(count * 3);
+    const sizes = new Float32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        positions[i * 3] = (random() - 0.5) * 30;
+        positions[i * 3 + 1] = (random() - 0.5) * 20;
+        positions[i * 3 + 2] = (random() - 0.5) * 20;
+        sizes[i] = random() * 2 + 0.5;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+
+    const material = new THREE.PointsMaterial({
+        color: 0x2563EB,
+        size: 0.04,
+        transparent: true,
+        opacity: 0.4,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        sizeAttenuation: true
+    });
+
+    const particles = new THREE.Points(geometry, material);
+    scene.add(particles);
+    return particles;
+}
@@ -0,0 +1,118 @@
+// exporter.js — Download an era model as GLB (with materials) or STL (geometry only, print-ready)
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { applyPartTransform } from './animation.js';
+
+export const EXPORT_FORMATS = ['glb', 'stl'];
+
+// Slicers read STL units as millimetres; scale the model's largest side to this
+const STL_TARGET_SIZE = 100;
+
+// Browsers may start a download after click() returns; keep its object URL this long (ms)
+const REVOKE_DELAY = 10000;
+
+// ─── Filtering ───
+// Emissive-only parts (black base, glowing emissive) are lighting accents —
+// LEDs, glow bands, energised wires — not printable structure
+function isEmissiveOnly(material) {
+    return !!(material.emissive && material.color &&
+        material.color.getHex() === 0x000000 && material.emissive.getHex() !== 0x000000);
+}
+
+function isExcluded(object, helpers) {
+    const { userData } = object;
+    if (userData.isWireframeOverlay || userData.isEffectLayer || userData.isTransitionHelper) return true;
+    if (userData.isInstanceBatch) return true; // its proxies are exported as plain meshes instead
+    if (object.isPoints || object.isLine) return true;
+    if (!helpers && object.isMesh) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        if (materials.every(isEmissiveOnly)) return true;
+    }
+    return false;
+}
+
+// A clean copy of the visible hierarchy: shared geometry and materials, no
+// page bookkeeping in userData (which GLTFExporter would write out as extras)
+function copyForExport(object, helpers) {
+    if (!object.visible || isExcluded(object, helpers)) return null;
+
+    const copy = object.isMesh ? new THREE.Mesh(object.geometry, object.material) : new THREE.Group();
+    copy.name = object.name;
+    copy.position.copy(object.position);
+    copy.quaternion.copy(object.quaternion);
+    copy.scale.copy(object.scale);
+
+    object.children.forEach(child => {
+        const childCopy = copyForExport(child, helpers);
+        if (childCopy) copy.add(childCopy);
+    });
+    return copy;
+}
+
+// Snapshot the model assembled, or as currently shown (exploded and running)
+function snapshotModel({ group, parts }, { exploded, helpers }) {
+    if (exploded) return copyForExport(group, helpers);
+
+    const saved = parts.map(part => part.explodeAmount);
+    parts.forEach(part => {
+        part.explodeAmount = 0;
+        applyPartTransform(part);
+    });
+    const copy = copyForExport(group, helpers);
+    parts.forEach((part, i) => {
+        part.explodeAmount = saved[i];
+        applyPartTransform(part);
+    });
+    return copy;
+}
+
+// ─── Formats ───
+async function toGLB(root) {
+    const buffer = await new GLTFExporter().parseAsync(root, { binary: true });
+    return new Blob([buffer], { type: 'model/gltf-binary' });
+}
+
+// Z-up (print bed) and millimetre-scaled, resting on the bed
+function toSTL(root) {
+    const wrapper = new THREE.Group();
+    wrapper.add(root);
+    wrapper.rotation.x = Math.PI / 2;
+    wrapper.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(wrapper, true);
+    const size = box.getSize(new THREE.Vector3());
+    wrapper.scale.setScalar(STL_TARGET_SIZE / Math.max(size.x, size.y, size.z, 0.0001));
+    wrapper.updateMatrixWorld(true);
+    wrapper.position.z -= new THREE.Box3().setFromObject(wrapper, true).min.z;
+    wrapper.updateMatrixWorld(true);
+
+    const data = new STLExporter().parse(wrapper, { binary: true });
+    return new Blob([data], { type: 'model/stl' });
+}
+
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+}
+
+/**
+ * Export an era model ({ group, parts }) and download it as <name>.glb / .stl.
+ * exploded keeps the current explode state (otherwise assembled); helpers
+ * keeps the emissive-only accent parts. Wireframe overlays, effect layers and
+ * transition helpers are always left out.
+ */
+export async function exportModel(model, { format = 'glb', exploded = false, helpers = false, name = 'model' } = {}) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}"`);
+
+    const root = snapshotModel(model, { exploded, helpers });
+    if (!root) throw new Error(`Nothing to export for "${name}"`);
+
+    const blob = format === 'glb' ? await toGLB(root) : toSTL(root);
+    download(blob, `${name}${exploded ? '-exploded' : ''}.${format}`);
+    return blob;
+}
@@ -0,0 +1,116 @@
+// fallback.js — WebGL-free slots: pre-rendered stills or a scroll-scrubbed sprite sheet per era
+import WebGL from 'three/addons/capabilities/WebGL.js';
+import { getPartInfo } from './timeline.js';
+import { escapeHtml } from './timelineUI.js';
+
+const EXPLODED_AT = 0.5;    // explode progress at which a still swaps to its exploded image
+
+let slots = {};             // eraId → { kind: 'stills' | 'sprite' | 'text', element, spec }
+let active = false;
+
+/**
+ * Whether the page should try WebGL at all. ?webgl=off forces the fallback
+ * (handy for checking the stills).
+ */
+export function isWebGLAvailable() {
+    if (new URLSearchParams(window.location.search).get('webgl') === 'off') return false;
+    return WebGL.isWebGLAvailable();
+}
+
+export function isStaticFallbackActive() {
+    return active;
+}
+
+// ─── Slot Content ───
+function stillsMarkup(era, spec) {
+    const alt = escapeHtml(`${era.title} model`);
+    return `
+        <img class="hero-frame-img fallback-still" src="${escapeHtml(spec.assembled)}" alt="${alt}, assembled">` +
+        (spec.exploded ? `
+        <img class="hero-frame-img fallback-still fallback-exploded" src="${escapeHtml(spec.exploded)}" alt="${alt}, exploded" hidden>` : '');
+}
+
+// One frame per cell, left to right then top to bottom
+function spriteMarkup(era, spec) {
+    const columns = spec.columns || spec.frames;
+    const rows = Math.ceil(spec.frames / columns);
+    return `
+        <div class="fallback-sprite" role="img" aria-label="${escapeHtml(era.title)} model"
+            style="background-image: url('${escapeHtml(spec.sprite)}'); background-size: ${columns * 100}% ${rows * 100}%; aspect-ratio: ${spec.aspect || 1};"></div>`;
+}
+
+// No pre-rendered assets: name the parts instead
+function textMarkup(era) {
+    const labels = [...new Set(Object.keys(era.components || {}).map(name => getPartInfo(era.id, name).label))];
+    const list = labels.map(label => `<li>${escapeHtml(label)}</li>`).join('');
+    return `
+        <div class="fallback-card">
+            <p class="fallback-card-title">${escapeHtml(era.title)}</p>
+            <p class="fallback-card-note">Interactive 3D view unavailable in this browser.</p>` +
+        (list ? `
+            <ul class="fallback-card-parts">${list}</ul>` : '') + `
+        </div>`;
+}
+
+function renderSlot(era) {
+    const slot = document.querySelector(`.three-visual-slot[data-era="${era.id}"]`);
+    if (!slot) return;
+
+    const spec = era.fallback || {};
+    const kind = spec.sprite && spec.frames > 0 ? 'sprite' : spec.assembled ? 'stills' : 'text';
+    slot.innerHTML = kind === 'sprite' ? spriteMarkup(era, spec)
+        : kind === 'stills' ? stillsMarkup(era, spec)
+        : textMarkup(era);
+
+    // The slot is no longer a 3D model to browse with the keyboard
+    slot.removeAttribute('tabindex');
+    slot.removeAttribute('aria-roledescription');
+    slot.removeAttribute('aria-describedby');
+    slot.classList.add('fallback-slot');
+
+    slots[era.id] = { kind, element: slot, spec };
+    updateStaticView(era.id, 0);
+}
+
+/**
+ * Swap every era slot for its manifest `fallback` content and hide the
+ * canvas. Controls that need the live model (inspect, mechanisms) are hidden
+ * by the .no-webgl class; the explode buttons keep working.
+ */
+export function showStaticFallback(eras, reason = '') {
+    if (reason) console.warn(`3D view unavailable, showing stills: ${reason}`);
+    active = true;
+    document.documentElement.classList.add('no-webgl');
+    eras.forEach(renderSlot);
+}
+
+/**
+ * Follow an era's explode progress (0 = assembled, 1 = exploded): stills
+ * swap halfway, sprite sheets step through their frames.
+ */
+export function updateStaticView(eraId, progress) {
+    const slot = slots[eraId];
+    if (!slot) return;
+    const t = Math.max(0, Math.min(1, progress));
+
+    if (slot.kind === 'stills') {
+        const exploded = slot.element.querySelector('.fallback-exploded');
+        if (!exploded) return;
+        exploded.hidden = t < EXPLODED_AT;
+        slot.element.querySelector('.fallback-still').hidden = t >= EXPLODED_AT;
+    } else if (slot.kind === 'sprite') {
+        const { frames } = slot.spec;
+        const columns = slot.spec.columns || frames;
+        const rows = Math.ceil(frames / columns);
+        const frame = Math.round(t * (frames - 1));
+        const x = columns > 1 ? (frame % columns) / (columns - 1) * 100 : 0;
+        const y = rows > 1 ? Math.floor(frame / columns) / (rows - 1) * 100 : 0;
+        slot.element.firstElementChild.style.backgroundPosition = `${x}% ${y}%`;
+    }
+}
+
+export function disposeStaticFallback() {
+    slots = {};
+    active = false;
+    document.documentElement.classList.remove('no-webgl');
+}
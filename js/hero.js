@@ -0,0 +1,112 @@
+// hero.js — Hero composition: every era model on a slow carousel, handing off to the first era on scroll
+import * as THREE from 'three';
+
+const RING_RADIUS = 2.4;
+const RING_Y = -0.3;
+const MODEL_RADIUS = 1.0;       // bounding-sphere radius each model is scaled to on the ring
+const SPIN_SPEED = 0.15;        // rad/s
+const HANDOFF_END = 0.6;        // hero scroll progress at which the first era owns the stage
+
+let entries = [];               // { group, center, scale, saved }
+let spinAngle = 0;
+let handoff = 0;
+let lastTime = null;
+
+const layout = new THREE.Matrix4();
+const scratch = new THREE.Matrix4();
+const rotation = new THREE.Quaternion();
+const offset = new THREE.Vector3();
+const ringPos = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Put the era models on the carousel, in timeline order. The first one is
+ * the era the hero hands off to.
+ */
+export function setHeroModels(groups) {
+    entries = groups.map(group => {
+        const sphere = group.userData.boundingSphere ||
+            new THREE.Box3().setFromObject(group).getBoundingSphere(new THREE.Sphere());
+        return {
+            group,
+            center: sphere.center.clone(),
+            scale: MODEL_RADIUS / Math.max(sphere.radius, 0.001),
+            saved: { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() }
+        };
+    });
+}
+
+/**
+ * Per-frame: spin the ring, and follow the hero's scroll progress into the handoff.
+ * The spin freezes while handing off so scrolling back retraces the same path.
+ */
+export function updateHero(time, progress) {
+    const dt = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+
+    const t = Math.max(0, Math.min(1, progress / HANDOFF_END));
+    handoff = t * t * (3 - 2 * t);
+
+    if (handoff === 0) {
+        spinAngle += dt * SPIN_SPEED;
+        spinAngle = THREE.MathUtils.euclideanModulo(spinAngle + Math.PI, Math.PI * 2) - Math.PI;
+    }
+}
+
+/**
+ * Hero view beforeRender hook: pose each model on the ring. The first model
+ * swings to the front and grows to its own section framing; the rest shrink away.
+ */
+export function applyHeroLayout() {
+    const ringAngle = spinAngle * (1 - handoff);
+    const step = (Math.PI * 2) / (entries.length || 1);
+
+    entries.forEach((entry, i) => {
+        const { group, center, saved } = entry;
+        saved.position.copy(group.position);
+        saved.quaternion.copy(group.quaternion);
+        saved.scale.copy(group.scale);
+
+        const angle = ringAngle + i * step;
+        ringPos.set(Math.sin(angle) * RING_RADIUS, RING_Y, Math.cos(angle) * RING_RADIUS);
+
+        let scale;
+        if (i === 0) {
+            // Ring slot → the model's own place at full size
+            ringPos.lerp(center, handoff);
+            scale = THREE.MathUtils.lerp(entry.scale, 1, handoff);
+        } else {
+            ringPos.multiplyScalar(1 + handoff);
+            scale = entry.scale * (1 - handoff);
+        }
+
+        // layout = T(ringPos) · S(scale) · R(angle) · T(−center), applied on top of the model's own transform
+        rotation.setFromAxisAngle(UP, angle);
+        layout.compose(ringPos, rotation, offset.setScalar(Math.max(scale, 1e-4)));
+        layout.multiply(scratch.makeTranslation(-center.x, -center.y, -center.z));
+
+        group.updateMatrix();
+        scratch.multiplyMatrices(layout, group.matrix);
+        scratch.decompose(group.position, group.quaternion, group.scale);
+        group.visible = group.visible && scale > 0.001;
+    });
+}
+
+/**
+ * Hero view afterRender hook: hand the models back to their own sections.
+ */
+export function restoreHeroLayout() {
+    entries.forEach(({ group, saved }) => {
+        group.position.copy(saved.position);
+        group.quaternion.copy(saved.quaternion);
+        group.scale.copy(saved.scale);
+        group.updateMatrixWorld(true); // picking reads matrixWorld between renders
+    });
+}
+
+export function disposeHero() {
+    entries = [];
+    spinAngle = 0;
+    handoff = 0;
+    lastTime = null;
+}
@@ -0,0 +1,93 @@
+// instancing.js — Shared geometry / material cache and InstancedMesh batches for repeated parts
+//
+// A batched part keeps a proxy mesh as its part.mesh: it carries the name,
+// transform, geometry and material like any other part, so picking, exploded
+// view, mechanisms, annotations and export work unchanged — but it lives on
+// PROXY_LAYER, which cameras never render. applyPartTransform (animation.js)
+// copies the proxy's transform into its instance.
+import * as THREE from 'three';
+
+export const PROXY_LAYER = 31;
+
+/**
+ * Per-model cache: build each geometry / material once under a key
+ * (e.g. 'pin', 'trace:2') and share it between every part that asks for it.
+ * Materials that a part changes on its own (mechanism glow) must not be shared.
+ */
+export function createPartCache() {
+    const geometries = new Map();
+    const materials = new Map();
+
+    function lookup(map, key, create) {
+        if (!map.has(key)) map.set(key, create());
+        return map.get(key);
+    }
+
+    return {
+        geometry: (key, create) => lookup(geometries, key, create),
+        material: (key, create) => lookup(materials, key, create)
+    };
+}
+
+/**
+ * One InstancedMesh for up to `capacity` copies of a part, added to group at
+ * its origin (instance matrices are in the group's space).
+ */
+export function createPartBatch(group, geometry, material, capacity, name) {
+    const batch = new THREE.InstancedMesh(geometry, material, capacity);
+    batch.name = name;
+    batch.count = 0;
+    batch.castShadow = true;
+    batch.receiveShadow = true;
+    batch.raycast = () => { };      // picked through the proxies
+    batch.userData.isInstanceBatch = true;
+
+    // Instance colours scale the glow of instanced emissive materials — start at full strength
+    if (material.userData.instanceEmissive) {
+        batch.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+    }
+
+    group.add(batch);
+    return batch;
+}
+
+/**
+ * Add a copy of the batch's part at position; returns its proxy mesh, to be
+ * used as the part's mesh (rotate it before setting up the exploded view).
+ */
+export function addInstance(batch, position, name) {
+    if (batch.count >= batch.instanceMatrix.count) throw new Error(`Batch "${batch.name}" is full`);
+
+    const proxy = new THREE.Mesh(batch.geometry, batch.material);
+    proxy.name = name;
+    proxy.position.copy(position);
+    proxy.layers.set(PROXY_LAYER);
+    proxy.userData.instance = { batch, index: batch.count++ };
+    batch.parent.add(proxy);
+    syncInstance(proxy);
+    return proxy;
+}
+
+/**
+ * Copy a proxy's current transform into its instance.
+ */
+export function syncInstance(proxy) {
+    const { batch, index } = proxy.userData.instance;
+    proxy.updateMatrix();
+    batch.setMatrixAt(index, proxy.matrix);
+    batch.instanceMatrix.needsUpdate = true;
+    // Bounds follow the instances (culling, measuring); recomputed on demand
+    batch.boundingBox = null;
+    batch.boundingSphere = null;
+}
+
+/**
+ * Scale one instance's glow (1 = the material's own emissive intensity).
+ * Needs a material from createInstancedEmissiveMaterial (materials.js).
+ */
+export function setInstanceEmissive(proxy, scale) {
+    const { batch, index } = proxy.userData.instance;
+    if (!batch.instanceColor) return;
+    batch.instanceColor.setXYZ(index, scale, scale, scale);
+    batch.instanceColor.needsUpdate = true;
+}
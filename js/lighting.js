@@ -1,7 +1,20 @@
 // lighting.js — Cinematic physically-based lighting
 import * as THREE from 'three';
 
+let keyLight = null;        // the page's key light (setShadowMapSize)
+
+/**
+ * Light the page's scene; its key light follows the quality tier's shadow settings.
+ */
 export function setupLighting(scene) {
+    keyLight = addLights(scene);
+}
+
+/**
+ * Add the light rig to a scene and return its key light, without touching
+ * the page's (e.g. for an embedded viewer).
+ */
+export function addLights(scene) {
     // Ambient — very low base
     const ambient = new THREE.AmbientLight(0x111122, 0.3);
     scene.add(ambient);
@@ -47,4 +60,22 @@ export function setupLighting(scene) {
     const underGlow = new THREE.PointLight(0x2563EB, 0.5, 10);
     underGlow.position.set(0, -2, 0);
     scene.add(underGlow);
+
+    return keyLight;
+}
+
+/**
+ * Key-light shadow resolution; 0 turns shadows off (quality.js tiers).
+ */
+export function setShadowMapSize(size) {
+    if (!keyLight) return;
+    keyLight.castShadow = size > 0;
+    if (size > 0 && keyLight.shadow.mapSize.width !== size) {
+        keyLight.shadow.mapSize.set(size, size);
+        // Reallocated at the new size on the next render
+        if (keyLight.shadow.map) {
+            keyLight.shadow.map.dispose();
+            keyLight.shadow.map = null;
+        }
+    }
 }
@@ -1,38 +1,18 @@
 // materials.js — Mesh + wireframe material system
 import * as THREE from 'three';
 
-// Era-specific color palettes
-const ERA_PALETTES = {
-    wheel: {
-        primary: 0x8B6914,   // warm bronze
-        secondary: 0x5C4A1E,   // dark wood
-        accent: 0xA0782C,   // light bronze
-        metal: 0x6B5B3A    // aged metal
-    },
-    steam: {
-        primary: 0x4A4A4A,   // industrial iron
-        secondary: 0x2E2E2E,   // dark steel
-        accent: 0x8B4513,   // copper accent
-        metal: 0x696969    // cast iron
-    },
-    electricity: {
-        primary: 0xB87333,   // copper
-        secondary: 0x4A4A4A,   // steel housing
-        accent: 0xDAA520,   // gold brass
-        metal: 0x2F4F4F    // dark slate
-    },
-    internet: {
-        primary: 0x3A3A4A,   // cool gunmetal
-        secondary: 0x1A1A2E,   // dark navy
-        accent: 0x00FF88,   // LED green
-        metal: 0x555566    // brushed aluminum
-    },
-    ai: {
-        primary: 0x1A1A2E,   // deep navy
-        secondary: 0x0A0A1A,   // near-black
-        accent: 0x2563EB,   // electric blue
-        metal: 0x333344    // silicon gray
-    }
+// Era-specific color palettes, registered from the timeline manifest
+const ERA_PALETTES = {};
+
+// Authored wireframe overlays can be switched off as a whole (quality.js)
+let wireframesVisible = true;
+
+// Fallback for eras without a palette — deep navy / electric blue
+const DEFAULT_PALETTE = {
+    primary: 0x1A1A2E,
+    secondary: 0x0A0A1A,
+    accent: 0x2563EB,
+    metal: 0x333344
 };
 
 export function createBaseMaterial(color, opts = {}) {
@@ -68,6 +48,30 @@ export function createEmissiveMaterial(color = 0x2563EB, intensity = 1.5) {
     });
 }
 
+// Instance colour (vColor in the fragment shader) scales the emissive glow —
+// the base colour is black, so it would otherwise have nothing to tint
+const instanceEmissiveFragment = /* glsl */`
+    #include <emissivemap_fragment>
+    #ifdef USE_COLOR
+        totalEmissiveRadiance *= vColor.rgb;
+    #endif
+`;
+
+/**
+ * Emissive material for InstancedMesh batches (instancing.js): each
+ * instance's glow can then be scaled on its own with setInstanceEmissive.
+ */
+export function createInstancedEmissiveMaterial(color = 0x2563EB, intensity = 1.5) {
+    const material = createEmissiveMaterial(color, intensity);
+    material.userData.instanceEmissive = true;
+    material.onBeforeCompile = shader => {
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <emissivemap_fragment>', instanceEmissiveFragment);
+    };
+    material.customProgramCacheKey = () => 'instanceEmissive';
+    return material;
+}
+
 export function createGlassMaterial() {
     return new THREE.MeshPhysicalMaterial({
         color: 0x88ccff,
@@ -80,16 +84,52 @@ export function createGlassMaterial() {
     });
 }
 
+export function registerEraPalette(era, palette) {
+    ERA_PALETTES[era] = { ...DEFAULT_PALETTE, ...palette };
+}
+
 export function getEraPalette(era) {
-    return ERA_PALETTES[era] || ERA_PALETTES.ai;
+    return ERA_PALETTES[era] || DEFAULT_PALETTE;
 }
 
-// Apply wireframe overlay clone to a mesh
-export function addWireframeOverlay(mesh, opacity = 0.2) {
-    const wireframe = mesh.clone();
-    wireframe.material = createWireframeMaterial(opacity);
-    wireframe.scale.multiplyScalar(1.002); // slight offset to prevent z-fighting
+// Apply wireframe overlay to a mesh — parented to it so the overlay follows
+// the part through the exploded view, and reachable via mesh.userData.wireframe.
+// With a part cache (instancing.js) overlays of the same opacity share a material.
+// An InstancedMesh batch gets one instanced overlay sharing its instance matrices.
+export function addWireframeOverlay(mesh, opacity = 0.2, cache = null) {
+    const material = cache
+        ? cache.material(`wireframe:${opacity}`, () => createWireframeMaterial(opacity))
+        : createWireframeMaterial(opacity);
+    let wireframe;
+    if (mesh.isInstancedMesh) {
+        // Scaling the batch would move the instances — scale the geometry instead
+        wireframe = new THREE.InstancedMesh(mesh.geometry.clone().scale(1.002, 1.002, 1.002), material, mesh.count);
+        wireframe.instanceMatrix = mesh.instanceMatrix;
+        wireframe.frustumCulled = false;    // the batch's bounds are recomputed as instances move
+    } else {
+        wireframe = new THREE.Mesh(mesh.geometry, material);
+        wireframe.scale.setScalar(1.002); // slight offset to prevent z-fighting
+    }
     wireframe.raycast = () => { };
-    mesh.parent.add(wireframe);
+    wireframe.userData.isWireframeOverlay = true;
+    wireframe.visible = wireframesVisible;
+    wireframe.material.userData.baseOpacity = opacity;
+    mesh.add(wireframe);
+    mesh.userData.wireframe = wireframe;
     return wireframe;
 }
+
+/**
+ * Show or hide every wireframe overlay under root. Highlighted overlays
+ * (picking.js) stay visible.
+ */
+export function setWireframeOverlaysVisible(root, visible) {
+    wireframesVisible = visible;
+    root.traverse(child => {
+        if (child.userData.isWireframeOverlay) child.visible = visible || !!child.userData.highlighted;
+    });
+}
+
+export function areWireframeOverlaysVisible() {
+    return wireframesVisible;
+}
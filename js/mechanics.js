@@ -0,0 +1,257 @@
+// mechanics.js — "Running" mode: kinematically linked motion layered over the exploded view
+import * as THREE from 'three';
+import { applyPartTransform } from './animation.js';
+import { basePartName } from './timeline.js';
+import { setInstanceEmissive } from './instancing.js';
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+let mechanisms = {};    // eraId → { update(time), reset() }
+let running = {};       // eraId → boolean
+
+// ─── Helpers ───
+function partsNamed(parts, base) {
+    return parts.filter(p => basePartName(p.mesh.name) === base);
+}
+
+function partNamed(parts, name) {
+    return parts.find(p => p.mesh.name === name) || null;
+}
+
+function spin(part, axis, angle, pivot = null) {
+    if (!part.motion) part.motion = { quaternion: new THREE.Quaternion() };
+    part.motion.quaternion.setFromAxisAngle(axis, angle);
+    part.motion.pivot = pivot;
+    applyPartTransform(part);
+}
+
+function slide(part, offset) {
+    if (!part.motion) part.motion = { quaternion: new THREE.Quaternion() };
+    part.motion.offset = offset;
+    applyPartTransform(part);
+}
+
+// Remember emissive settings so stopping restores the authored look
+function captureEmissive(parts) {
+    return parts.map(part => ({
+        material: part.mesh.material,
+        emissive: part.mesh.material.emissive.getHex(),
+        intensity: part.mesh.material.emissiveIntensity
+    }));
+}
+
+function restoreEmissive(saved) {
+    saved.forEach(({ material, emissive, intensity }) => {
+        material.emissive.setHex(emissive);
+        material.emissiveIntensity = intensity;
+    });
+}
+
+// Instanced parts (instancing.js) share one material, so their glow is
+// scaled per instance against it instead
+function setGlow(part, intensity) {
+    const { mesh } = part;
+    if (mesh.userData.instance) setInstanceEmissive(mesh, intensity / mesh.material.emissiveIntensity);
+    else mesh.material.emissiveIntensity = intensity;
+}
+
+function resetMotion(parts) {
+    parts.forEach(part => {
+        if (!part.motion) return;
+        part.motion = null;
+        applyPartTransform(part);
+    });
+}
+
+// Deterministic per-index hash in [0, 1) — keeps blink patterns stable across runs
+function hash(i) {
+    const x = Math.sin(i * 127.1 + 311.7) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+// ═══════════════════════════════════════════
+// MECHANISM BUILDERS
+// Each receives the model's parts array and returns { update(time), reset() }
+// ═══════════════════════════════════════════
+
+// Wheel rolling about its axle
+function wheel(parts) {
+    const spokes = partsNamed(parts, 'spoke');
+    const pivot = new THREE.Vector3(0, 0, 0);
+
+    return {
+        update(time) {
+            spokes.forEach(spoke => spin(spoke, Z_AXIS, -time * 1.5, pivot));
+        },
+        reset() { resetMotion(spokes); }
+    };
+}
+
+// Crank-slider: the flywheel turns and the piston rod strokes with the
+// exact slider displacement x(θ) = r·cosθ + √(l² − r²·sin²θ)
+function crankSlider(parts) {
+    const CRANK_RADIUS = 0.18;
+    const ROD_LENGTH = 0.7;
+    const SPEED = 3.0; // rad/s
+
+    const flywheel = partNamed(parts, 'flywheel');
+    const spokes = partsNamed(parts, 'fSpoke');
+    const rod = partNamed(parts, 'pistonRod');
+    const hubAxis = new THREE.Vector3(0, -0.5, 0); // flywheel spokes turn about x through this line
+    const stroke = new THREE.Vector3();
+    const moving = [flywheel, rod, ...spokes].filter(Boolean);
+
+    return {
+        update(time) {
+            const theta = time * SPEED;
+            const sin = Math.sin(theta);
+            const x = CRANK_RADIUS * Math.cos(theta) +
+                Math.sqrt(ROD_LENGTH * ROD_LENGTH - CRANK_RADIUS * CRANK_RADIUS * sin * sin);
+
+            if (flywheel) spin(flywheel, X_AXIS, theta);
+            spokes.forEach(spoke => spin(spoke, X_AXIS, theta, hubAxis));
+            if (rod) slide(rod, stroke.set(x - (CRANK_RADIUS + ROD_LENGTH), 0, 0));
+        },
+        reset() { resetMotion(moving); }
+    };
+}
+
+// Generator: rotor + shaft spin, each field coil glows as a rotor pole sweeps past
+function generator(parts) {
+    const SPEED = 6.0;
+    const rotating = [partNamed(parts, 'rotor'), partNamed(parts, 'shaft')].filter(Boolean);
+    const coils = partsNamed(parts, 'coil');
+    const wires = partsNamed(parts, 'wire');
+    const saved = captureEmissive([...coils, ...wires]);
+
+    return {
+        update(time) {
+            const theta = time * SPEED;
+            rotating.forEach(part => spin(part, Y_AXIS, theta));
+
+            coils.forEach((coil, i) => {
+                const coilAngle = (i / coils.length) * Math.PI * 2;
+                const alignment = Math.pow(Math.max(0, Math.cos(2 * theta - coilAngle)), 4);
+                coil.mesh.material.emissive.setHex(0xFF7A1A);
+                coil.mesh.material.emissiveIntensity = 0.1 + alignment * 0.9;
+            });
+
+            const output = Math.abs(Math.sin(2 * theta));
+            wires.forEach(wire => { wire.mesh.material.emissiveIntensity = 1.0 + output * 2.0; });
+        },
+        reset() {
+            resetMotion(rotating);
+            restoreEmissive(saved);
+        }
+    };
+}
+
+// Server rack: cooling fans spin, activity LEDs blink, bus lines pulse
+function serverRack(parts) {
+    const fans = partsNamed(parts, 'fan');
+    const leds = partsNamed(parts, 'led');
+    const buses = partsNamed(parts, 'bus');
+    const saved = captureEmissive([...leds, ...buses]);
+
+    return {
+        update(time) {
+            fans.forEach((fan, i) => spin(fan, Z_AXIS, time * (8 + i)));
+
+            leds.forEach((led, i) => {
+                const rate = 2 + hash(i) * 6;
+                const on = Math.sin(time * rate + hash(i + 100) * Math.PI * 2) > -0.2;
+                led.mesh.material.emissiveIntensity = on ? 3.0 : 0.3;
+            });
+
+            buses.forEach((bus, i) => {
+                bus.mesh.material.emissiveIntensity = 1.2 + Math.max(0, Math.sin(time * 5 - i * 1.2)) * 2.0;
+            });
+        },
+        reset() {
+            resetMotion(fans);
+            restoreEmissive(saved);
+        }
+    };
+}
+
+// AI chip: activity ripples along the traces and through the network layers
+function neuralChip(parts) {
+    const traces = partsNamed(parts, 'trace');
+    const nodes = partsNamed(parts, 'neuralNode');
+    const saved = captureEmissive([...traces, ...nodes]);
+    const traceBase = saved.slice(0, traces.length).map(s => s.intensity);
+
+    return {
+        update(time) {
+            traces.forEach((trace, i) => {
+                const wave = Math.sin(time * 4 - i * 0.6) * 0.5 + 0.5;
+                setGlow(trace, traceBase[i] * (0.3 + wave * 0.9));
+            });
+
+            nodes.forEach(node => {
+                const fire = Math.sin(time * 3 - node.originalPos.y * 4) * 0.5 + 0.5;
+                node.mesh.material.emissiveIntensity = 1.0 + fire * 3.0;
+            });
+        },
+        reset() {
+            traces.forEach((trace, i) => setGlow(trace, traceBase[i]));
+            restoreEmissive(saved);
+        }
+    };
+}
+
+const MECHANISM_BUILDERS = { wheel, crankSlider, generator, serverRack, neuralChip };
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Attach the manifest-named mechanism (e.g. 'crankSlider') to an era's parts.
+ */
+export function registerMechanism(eraId, type, parts) {
+    const builder = MECHANISM_BUILDERS[type];
+    if (!builder) {
+        if (type) console.warn(`Unknown mechanism "${type}" for era "${eraId}"`);
+        return;
+    }
+    mechanisms[eraId] = builder(parts);
+}
+
+export function unregisterMechanism(eraId) {
+    if (mechanisms[eraId]) mechanisms[eraId].reset();
+    delete mechanisms[eraId];
+    delete running[eraId];
+}
+
+export function hasMechanism(eraId) {
+    return !!mechanisms[eraId];
+}
+
+export function isMechanismRunning(eraId) {
+    return !!running[eraId];
+}
+
+export function setMechanismRunning(eraId, on) {
+    const mechanism = mechanisms[eraId];
+    if (!mechanism) return;
+    running[eraId] = on;
+    if (!on) mechanism.reset();
+}
+
+/**
+ * Per-frame: advance every running mechanism from the render clock.
+ */
+export function updateMechanisms(time) {
+    Object.keys(running).forEach(eraId => {
+        if (running[eraId] && mechanisms[eraId]) mechanisms[eraId].update(time);
+    });
+}
+
+export function disposeMechanisms() {
+    Object.keys(mechanisms).forEach(eraId => mechanisms[eraId].reset());
+    mechanisms = {};
+    running = {};
+}
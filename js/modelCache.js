@@ -0,0 +1,256 @@
+// modelCache.js — Lazy per-era model construction and LRU disposal of far-away eras
+//
+// An era's model is built when its section nears the viewport; the others are
+// prefetched one per idle callback. While the hero (whose carousel shows every
+// era) is near, every model stays. Otherwise at most maxResident are kept: the
+// eras least recently near are released — unregistered by their owner and
+// their geometries, materials and textures freed — and rebuilt when their
+// section comes near again. The active era is never released. A build that
+// throws is retried the next time its section comes near or becomes active.
+
+export const MAX_RESIDENT_MODELS = 3;
+
+const NEAR_MARGIN = '100% 0px';     // one viewport above and below counts as near
+const HERO_ID = 'hero';
+const IDLE_TIMEOUT = 2000;          // ms — prefetch even if the page never goes idle
+const IDLE_FALLBACK_DELAY = 200;    // ms — browsers without requestIdleCallback
+
+let eraIds = [];
+let buildModel = null;              // async eraId → whether a model was built and registered
+let releaseModel = null;            // eraId → unregister and dispose it
+let maxResident = MAX_RESIDENT_MODELS;
+let idlePrefetch = true;
+
+let resident = new Map();           // eraId → last-used stamp
+let pending = new Map();            // eraId → build promise
+let failed = new Set();             // eras with no model (unknown creator) — not retried
+let errored = new Set();            // eras whose build threw — retried on request, not prefetched
+let near = new Set();               // section ids near the viewport, the hero included
+let activeEra = null;
+let observer = null;
+let idleHandle = null;
+let generation = 0;                 // bumped on dispose: late builds are not made resident
+let clock = 0;
+
+// ─── Disposal ───
+function disposeMaterial(material, freed) {
+    if (freed.has(material)) return;
+    freed.add(material);
+    // Maps of any kind (map, normalMap, emissiveMap, … from GLB assets)
+    Object.values(material).forEach(value => {
+        if (value && value.isTexture && !freed.has(value)) {
+            freed.add(value);
+            value.dispose();
+        }
+    });
+    material.dispose();
+}
+
+/**
+ * Free the GPU resources of everything under root: geometries, materials,
+ * their textures and instance buffers. Shared resources are freed once.
+ */
+export function disposeObject(root) {
+    const freed = new Set();
+    root.traverse(child => {
+        if (child.geometry && !freed.has(child.geometry)) {
+            freed.add(child.geometry);
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material])
+                .forEach(material => disposeMaterial(material, freed));
+        }
+        if (child.isInstancedMesh) child.dispose();
+    });
+}
+
+// ─── Residency ───
+function touch(eraId) {
+    if (resident.has(eraId)) resident.set(eraId, ++clock);
+}
+
+function isWanted(eraId) {
+    return eraId === activeEra || near.has(eraId) || near.has(HERO_ID);
+}
+
+// Least recently used first, down to maxResident
+function evict() {
+    if (near.has(HERO_ID)) return;
+    const candidates = [...resident.keys()]
+        .filter(eraId => !isWanted(eraId))
+        .sort((a, b) => resident.get(a) - resident.get(b));
+
+    while (resident.size > maxResident && candidates.length) {
+        const eraId = candidates.shift();
+        resident.delete(eraId);
+        releaseModel(eraId);
+    }
+}
+
+// ─── Idle Prefetch ───
+// Every era while the hero is near (timeline order), otherwise the active
+// era's neighbours, closest first, while there is room
+function nextPrefetch() {
+    const candidates = eraIds.filter(eraId => !resident.has(eraId) && !pending.has(eraId) && !failed.has(eraId) && !errored.has(eraId));
+    if (near.has(HERO_ID)) return candidates[0] || null;
+    if (resident.size + pending.size >= maxResident) return null;
+
+    const center = Math.max(0, eraIds.indexOf(activeEra));
+    candidates.sort((a, b) => Math.abs(eraIds.indexOf(a) - center) - Math.abs(eraIds.indexOf(b) - center));
+    return candidates[0] || null;
+}
+
+function requestIdle(callback) {
+    return window.requestIdleCallback
+        ? window.requestIdleCallback(callback, { timeout: IDLE_TIMEOUT })
+        : setTimeout(callback, IDLE_FALLBACK_DELAY);
+}
+
+function cancelIdle(handle) {
+    if (window.cancelIdleCallback) window.cancelIdleCallback(handle);
+    else clearTimeout(handle);
+}
+
+function schedulePrefetch() {
+    if (!idlePrefetch || idleHandle !== null || !nextPrefetch()) return;
+    idleHandle = requestIdle(() => {
+        idleHandle = null;
+        const eraId = nextPrefetch();
+        if (eraId) requestModel(eraId).then(schedulePrefetch);
+    });
+}
+
+function refresh() {
+    near.forEach(id => {
+        if (eraIds.includes(id)) requestModel(id);
+    });
+    evict();
+    schedulePrefetch();
+}
+
+function onIntersect(entries) {
+    entries.forEach(({ target, isIntersecting }) => {
+        if (isIntersecting) near.add(target.id);
+        else near.delete(target.id);
+    });
+    refresh();
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Start watching the hero and era sections. build(eraId) builds and registers
+ * a model, resolving to whether it did; release(eraId) unregisters and
+ * disposes one. Options: maxResident, idle (prefetch in idle time).
+ */
+export function initModelCache(ids, { build, release, maxResident: max = MAX_RESIDENT_MODELS, idle = true }) {
+    eraIds = [...ids];
+    buildModel = build;
+    releaseModel = release;
+    maxResident = Math.max(1, max);
+    idlePrefetch = idle;
+
+    if (typeof IntersectionObserver === 'undefined') {
+        // No way to tell what is near: keep everything
+        eraIds.forEach(eraId => near.add(eraId));
+        refresh();
+        return;
+    }
+
+    observer = new IntersectionObserver(onIntersect, { rootMargin: NEAR_MARGIN });
+    [HERO_ID, ...eraIds].forEach(id => {
+        const section = document.getElementById(id);
+        if (section) observer.observe(section);
+    });
+    schedulePrefetch();
+}
+
+/**
+ * Build an era's model now unless it is resident or already building.
+ * Resolves to whether it is resident.
+ */
+export function requestModel(eraId) {
+    if (resident.has(eraId)) {
+        touch(eraId);
+        return Promise.resolve(true);
+    }
+    if (pending.has(eraId)) return pending.get(eraId);
+    if (!buildModel || failed.has(eraId)) return Promise.resolve(false);
+
+    const buildGeneration = generation;
+    const promise = Promise.resolve()
+        .then(() => buildModel(eraId))
+        .then(built => {
+            if (buildGeneration !== generation) return false;
+            pending.delete(eraId);
+            errored.delete(eraId);
+            if (!built) {
+                failed.add(eraId);
+                return false;
+            }
+            resident.set(eraId, ++clock);
+            evict();
+            return true;
+        }, err => {
+            if (buildGeneration !== generation) return false;
+            console.error(`Building the "${eraId}" model failed:`, err);
+            pending.delete(eraId);
+            errored.add(eraId);
+            return false;
+        });
+    pending.set(eraId, promise);
+    return promise;
+}
+
+/**
+ * The section in view changed (null = the hero): its model is built first
+ * and never released while it is active.
+ */
+export function setActiveModel(eraId) {
+    activeEra = eraIds.includes(eraId) ? eraId : null;
+    if (activeEra) requestModel(activeEra);
+    evict();
+    schedulePrefetch();
+}
+
+export function isModelResident(eraId) {
+    return resident.has(eraId);
+}
+
+export function getResidentModels() {
+    return [...resident.keys()];
+}
+
+/**
+ * Release every resident model and rebuild what is near (WebGL context restore).
+ */
+export function reloadModels() {
+    [...resident.keys()].forEach(eraId => releaseModel(eraId));
+    resident.clear();
+    failed.clear();
+    errored.clear();
+    refresh();
+    if (activeEra) requestModel(activeEra);
+}
+
+export function disposeModelCache() {
+    if (observer) observer.disconnect();
+    if (idleHandle !== null) cancelIdle(idleHandle);
+    [...resident.keys()].forEach(eraId => releaseModel(eraId));
+
+    generation++;
+    observer = null;
+    idleHandle = null;
+    resident = new Map();
+    pending = new Map();
+    failed = new Set();
+    errored = new Set();
+    near = new Set();
+    eraIds = [];
+    buildModel = null;
+    releaseModel = null;
+    activeEra = null;
+}
@@ -0,0 +1,151 @@
+// modelLoader.js — GLTF/GLB asset loading with procedural fallback
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+import { modelCreators } from './models.js';
+import { addWireframeOverlay } from './materials.js';
+
+const DRACO_DECODER_PATH = 'https://cdn.jsdelivr.net/npm/three@0.160.0/examples/jsm/libs/draco/gltf/';
+
+// Imported assets are normalized so their largest dimension matches the procedural models
+const DEFAULT_SIZE = 4.0;
+const DEFAULT_EXPLODE_DISTANCE = 1.2;
+
+let gltfLoader = null;
+let dracoLoader = null;
+
+// ─── Loader Setup ───
+function getLoader(source) {
+    if (!gltfLoader) {
+        gltfLoader = new GLTFLoader();
+    }
+
+    if (source.draco && !dracoLoader) {
+        dracoLoader = new DRACOLoader();
+        dracoLoader.setDecoderPath(source.dracoDecoderPath || DRACO_DECODER_PATH);
+        gltfLoader.setDRACOLoader(dracoLoader);
+    }
+
+    if (source.meshopt) {
+        gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    }
+
+    return gltfLoader;
+}
+
+// ─── Normalization: center on origin, scale to procedural size ───
+function normalizeScene(root, size) {
+    const box = new THREE.Box3().setFromObject(root);
+    const dims = box.getSize(new THREE.Vector3());
+    const maxDim = Math.max(dims.x, dims.y, dims.z);
+    if (maxDim === 0) return;
+
+    const scale = size / maxDim;
+    const center = box.getCenter(new THREE.Vector3());
+    root.scale.multiplyScalar(scale);
+    root.position.sub(center.multiplyScalar(scale));
+}
+
+// ─── Part Selection ───
+// Parts are the nodes named in source.parts, or else the named top-level
+// nodes of the export (skipping a single unnamed wrapper node if present).
+function collectPartNodes(root, source) {
+    if (source.parts) {
+        return Object.keys(source.parts)
+            .map(name => {
+                const node = root.getObjectByName(name);
+                if (!node) console.warn(`GLB ${source.url} has no node named "${name}"`);
+                return node;
+            })
+            .filter(Boolean);
+    }
+
+    let top = root;
+    while (top.children.length === 1 && top.children[0].children.length > 0) {
+        top = top.children[0];
+    }
+    return top.children.filter(node => node.name);
+}
+
+function defaultExplodeDir(node, modelCenter, distance) {
+    const nodeCenter = new THREE.Box3().setFromObject(node).getCenter(new THREE.Vector3());
+    const dir = nodeCenter.sub(modelCenter);
+    if (dir.lengthSq() < 1e-6) dir.set(0, 1, 0);
+    return dir.normalize().multiplyScalar(distance);
+}
+
+/**
+ * Load a GLB/GLTF asset and convert its named nodes into the
+ * { mesh, originalPos, explodeDir } parts array used by setupExplodedView.
+ */
+export async function loadGLTFModel(source) {
+    const gltf = await getLoader(source).loadAsync(source.url);
+    const root = gltf.scene;
+
+    const group = new THREE.Group();
+    group.add(root);
+    normalizeScene(root, source.size ?? DEFAULT_SIZE);
+
+    root.traverse(child => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+
+    group.updateMatrixWorld(true);
+    const modelCenter = new THREE.Box3().setFromObject(root).getCenter(new THREE.Vector3());
+    const distance = source.explodeDistance ?? DEFAULT_EXPLODE_DISTANCE;
+
+    // Reparent parts onto the group so explodeDir is expressed in group space
+    // Per-part metadata (stage, delay, duration, easing, explodeRotation) passes through untouched
+    const parts = collectPartNodes(root, source).map(node => {
+        const meta = source.parts?.[node.name] || {};
+        const explodeDir = meta.explodeDir
+            ? new THREE.Vector3(...meta.explodeDir)
+            : defaultExplodeDir(node, modelCenter, distance);
+        group.attach(node);
+        return { ...meta, mesh: node, originalPos: node.position.clone(), explodeDir };
+    });
+
+    // Optional wireframe overlays — true for every part, or a list of node names
+    const wireframe = source.wireframe === true
+        ? parts.map(p => p.mesh.name)
+        : (source.wireframe || []);
+    parts.forEach(({ mesh }) => {
+        if (mesh.isMesh && wireframe.includes(mesh.name)) addWireframeOverlay(mesh, 0.12);
+    });
+
+    if (source.position) group.position.set(...source.position);
+    if (source.rotation) group.rotation.set(...source.rotation);
+
+    return { group, parts };
+}
+
+/**
+ * Build the model for an era from its manifest `model` entry: the GLB asset
+ * if one is declared, otherwise (or if loading fails) the procedural creator
+ * named by `procedural`, which defaults to the era id.
+ */
+export async function loadEraModel(eraId, source = {}) {
+    if (source.url) {
+        try {
+            return await loadGLTFModel(source);
+        } catch (err) {
+            console.warn(`Falling back to procedural model for "${eraId}":`, err);
+        }
+    }
+
+    const creator = modelCreators[source.procedural || eraId];
+    return creator ? creator() : null;
+}
+
+/**
+ * Terminate the Draco decoder workers; loaders are recreated on the next load.
+ */
+export function disposeModelLoader() {
+    if (dracoLoader) dracoLoader.dispose();
+    dracoLoader = null;
+    gltfLoader = null;
+}
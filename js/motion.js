@@ -0,0 +1,93 @@
+// motion.js — Reduced-motion preference: follows the OS setting unless overridden on the page
+const QUERY = '(prefers-reduced-motion: reduce)';
+const STORAGE_KEY = 'reducedMotion';    // 'on' | 'off'; absent = follow the OS
+
+let media = null;
+let override = null;    // true / false pins the mode, null follows the OS
+let listeners = [];
+
+function readOverride() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored === 'on' ? true : stored === 'off' ? false : null;
+    } catch (err) {
+        return null;    // storage blocked (privacy mode, sandboxed iframe)
+    }
+}
+
+function writeOverride() {
+    try {
+        if (override === null) localStorage.removeItem(STORAGE_KEY);
+        else localStorage.setItem(STORAGE_KEY, override ? 'on' : 'off');
+    } catch (err) {
+        // Not persisted — the toggle still applies for this visit
+    }
+}
+
+export function prefersReducedMotion() {
+    if (override !== null) return override;
+    return !!media?.matches;
+}
+
+function notify() {
+    const reduced = prefersReducedMotion();
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+    document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+        button.setAttribute('aria-pressed', String(reduced));
+    });
+    listeners.forEach(callback => callback(reduced));
+}
+
+function onMediaChange() {
+    if (override === null) notify();
+}
+
+function onToggleClick() {
+    setReducedMotion(!prefersReducedMotion());
+}
+
+/**
+ * Watch the OS preference, restore any saved on-page override and bind the
+ * [data-motion-toggle] buttons.
+ */
+export function initMotionPreference() {
+    media = window.matchMedia ? window.matchMedia(QUERY) : null;
+    override = readOverride();
+
+    if (media) media.addEventListener('change', onMediaChange);
+
+    document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+        button.addEventListener('click', onToggleClick);
+    });
+
+    notify();
+}
+
+/**
+ * Pin reduced motion on or off; null goes back to following the OS.
+ * Matching the OS setting clears the override.
+ */
+export function setReducedMotion(on) {
+    override = on === null || on === !!media?.matches ? null : on;
+    writeOverride();
+    notify();
+}
+
+/**
+ * Called immediately with the current mode, then on every change.
+ */
+export function onMotionPreferenceChange(callback) {
+    listeners.push(callback);
+    callback(prefersReducedMotion());
+}
+
+export function disposeMotionPreference() {
+    if (media) media.removeEventListener('change', onMediaChange);
+    document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+        button.removeEventListener('click', onToggleClick);
+    });
+    document.documentElement.classList.remove('reduced-motion');
+    media = null;
+    override = null;
+    listeners = [];
+}
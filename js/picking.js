@@ -0,0 +1,209 @@
+// picking.js — Raycast part picking, hover highlight and inspection callouts
+import * as THREE from 'three';
+import { addWireframeOverlay, createWireframeMaterial, areWireframeOverlaysVisible } from './materials.js';
+import { PROXY_LAYER } from './instancing.js';
+import { getPartInfo } from './timeline.js';
+import { getView, clientToView, projectToView } from './viewports.js';
+
+const HIGHLIGHT_COLOR = 0x60A5FA;
+const HIGHLIGHT_OPACITY = 0.9;
+const CALLOUT_OFFSET = 18; // px between the part and its callout
+
+let raycaster = null;
+const pointer = new THREE.Vector2();
+
+let eraParts = {};          // eraId → parts array
+let activeEra = null;
+let hoveredPart = null;
+let selectedPart = null;
+let callout = null;
+let onSelectCallback = null;
+
+// ─── Part Lookup ───
+// Hits land on meshes, which may be nested inside a GLB part node
+function findPart(object) {
+    const parts = eraParts[activeEra] || [];
+    for (let node = object; node; node = node.parent) {
+        const part = parts.find(p => p.mesh === node);
+        if (part) return part;
+    }
+    return null;
+}
+
+function pickAt(clientX, clientY) {
+    const parts = eraParts[activeEra];
+    const view = getView(activeEra);
+    if (!raycaster || !parts || !view || !view.visible) return null;
+
+    // Only the active era's slot is pickable
+    if (!clientToView(view, clientX, clientY, pointer)) return null;
+    raycaster.setFromCamera(pointer, view.camera);
+
+    const hits = raycaster.intersectObjects(parts.map(p => p.mesh), true);
+    return hits.length ? findPart(hits[0].object) : null;
+}
+
+// ─── Highlight: swap the part's wireframe overlay (created lazily) to the highlight material ───
+// Overlay materials can be shared between parts (materials.js), so they are swapped, not recoloured
+let highlightMaterial = null;
+
+function getHighlightMaterial() {
+    if (!highlightMaterial) {
+        highlightMaterial = createWireframeMaterial(HIGHLIGHT_OPACITY);
+        highlightMaterial.color.setHex(HIGHLIGHT_COLOR);
+        highlightMaterial.userData.baseOpacity = HIGHLIGHT_OPACITY;
+    }
+    return highlightMaterial;
+}
+
+function setMeshHighlight(mesh, on) {
+    const wireframe = mesh.userData.wireframe || addWireframeOverlay(mesh, 0);
+    if (!wireframe.userData.restMaterial) wireframe.userData.restMaterial = wireframe.material;
+    wireframe.userData.highlighted = on;
+    wireframe.visible = on || areWireframeOverlaysVisible();
+    wireframe.material = on ? getHighlightMaterial() : wireframe.userData.restMaterial;
+}
+
+/**
+ * Highlight a part (or restore it) through its wireframe overlays — every
+ * mesh under it, for GLB parts that are groups; also used by the embeddable
+ * viewer (viewer.js).
+ */
+export function setPartHighlight(part, on) {
+    // Collected first: overlays are added as children while highlighting
+    const meshes = [];
+    part.mesh.traverse(child => {
+        if (child.isMesh && !child.userData.isWireframeOverlay && !child.userData.isEffectLayer) meshes.push(child);
+    });
+    meshes.forEach(mesh => setMeshHighlight(mesh, on));
+}
+
+function setHovered(part) {
+    if (part === hoveredPart) return;
+    if (hoveredPart && hoveredPart !== selectedPart) setPartHighlight(hoveredPart, false);
+    hoveredPart = part;
+    if (hoveredPart) setPartHighlight(hoveredPart, true);
+    document.body.style.cursor = hoveredPart ? 'pointer' : '';
+}
+
+// ─── Callout ───
+function showCallout(part) {
+    if (!callout) return;
+    const { label, description } = getPartInfo(activeEra, part.mesh.name);
+    callout.querySelector('.part-callout-label').textContent = label;
+    callout.querySelector('.part-callout-desc').textContent = description;
+    callout.querySelector('.part-callout-desc').hidden = !description;
+    callout.classList.add('visible');
+    updatePicking();
+}
+
+function hideCallout() {
+    if (callout) callout.classList.remove('visible');
+}
+
+/**
+ * Select a part (or null to clear): keeps it highlighted and shows its callout.
+ */
+export function selectPart(part) {
+    if (selectedPart && selectedPart !== hoveredPart) setPartHighlight(selectedPart, false);
+    selectedPart = part;
+
+    if (selectedPart) {
+        setPartHighlight(selectedPart, true);
+        showCallout(selectedPart);
+    } else {
+        hideCallout();
+    }
+
+    if (onSelectCallback) onSelectCallback(selectedPart, activeEra);
+}
+
+// ─── Pointer Events ───
+// The canvas sits beneath the page content, so listen on the window and
+// ignore events that land on real UI controls.
+function isOverControl(target) {
+    return target instanceof Element && !!target.closest('a, button, input, select, textarea, .part-callout');
+}
+
+function onPointerMove(e) {
+    if (e.pointerType === 'touch' || isOverControl(e.target)) {
+        setHovered(null);
+        return;
+    }
+    setHovered(pickAt(e.clientX, e.clientY));
+}
+
+function onClick(e) {
+    if (isOverControl(e.target)) return;
+    selectPart(pickAt(e.clientX, e.clientY));
+}
+
+function onKeyDown(e) {
+    if (e.key === 'Escape' && selectedPart) selectPart(null);
+}
+
+/**
+ * Enable picking in the active era's slot. Callout markup is #partCallout.
+ */
+export function initPicking() {
+    raycaster = new THREE.Raycaster();
+    raycaster.layers.enable(PROXY_LAYER); // instanced parts are picked through their proxies
+    callout = document.getElementById('partCallout');
+
+    window.addEventListener('pointermove', onPointerMove, { passive: true });
+    window.addEventListener('click', onClick);
+    window.addEventListener('keydown', onKeyDown);
+}
+
+export function registerPickableParts(eraId, parts) {
+    eraParts[eraId] = parts;
+}
+
+export function unregisterPickableParts(eraId) {
+    if (eraId === activeEra) setPickingEra(null);
+    delete eraParts[eraId];
+}
+
+/**
+ * Restrict picking to one era's model (null disables picking, e.g. on the hero).
+ */
+export function setPickingEra(eraId) {
+    if (eraId === activeEra) return;
+    setHovered(null);
+    selectPart(null);
+    activeEra = eraId;
+}
+
+export function setOnPartSelect(callback) {
+    onSelectCallback = callback;
+}
+
+export function getSelectedPart() {
+    return selectedPart;
+}
+
+/**
+ * Per-frame: keep the callout pinned beside the selected part as it explodes.
+ */
+export function updatePicking() {
+    const view = getView(activeEra);
+    if (!selectedPart || !callout || !view || !view.rect) return;
+
+    const { x, y } = projectToView(view, selectedPart.mesh.getWorldPosition(new THREE.Vector3()));
+    callout.style.transform = `translate(${Math.round(x + CALLOUT_OFFSET)}px, ${Math.round(y - CALLOUT_OFFSET)}px)`;
+}
+
+export function disposePicking() {
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('click', onClick);
+    window.removeEventListener('keydown', onKeyDown);
+    setHovered(null);
+    selectPart(null);
+    eraParts = {};
+    activeEra = null;
+    if (highlightMaterial) highlightMaterial.dispose();
+    highlightMaterial = null;
+    raycaster = null;
+    callout = null;
+    onSelectCallback = null;
+}
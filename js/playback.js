@@ -0,0 +1,254 @@
+// playback.js — Per-era explode controls independent of scroll: slider, play/pause loop, stage steps, scroll lock
+//
+// Every change holds the era's explode progress in scrollController.js, like
+// the Explode button, so it lasts until the section is left — or, while the
+// era is locked, until it is unlocked. Changes are reported through
+// setOnPlaybackChange so the camera, stills and URL follow.
+import { getStageStops } from './animation.js';
+import { getExplodeProgress, holdExplodeProgress, setExplodeLocked, isExplodeLocked } from './scrollController.js';
+import { prefersReducedMotion } from './motion.js';
+
+const LOOP_DURATION = 4;        // s — assembled to exploded (and back) while playing
+const STEP_DURATION = 0.6;      // s — gliding to the next stage stop
+const STAGE_HOLD = 1.5;         // s — reduced motion: how long playing holds each stage stop
+const MAX_TICK = 0.1;           // s — a stalled frame doesn't jump the animation
+const STOP_EPSILON = 0.002;
+
+let eraParts = {};              // eraId → parts (for the stage stops), while built
+let animations = {};            // eraId → { target, speed, loop, hold }
+let rafId = null;
+let lastTime = null;
+let onChangeCallback = null;
+
+function getBar(eraId) {
+    return document.querySelector(`.playback-bar[data-era="${eraId}"]`);
+}
+
+// The next stage stop past from (direction 1) or before it (-1); undefined at the end
+function nextStop(eraId, from, direction) {
+    const stops = eraParts[eraId] ? getStageStops(eraParts[eraId]) : [0, 1];
+    return direction > 0
+        ? stops.find(stop => stop > from + STOP_EPSILON)
+        : [...stops].reverse().find(stop => stop < from - STOP_EPSILON);
+}
+
+function setProgress(eraId, progress) {
+    holdExplodeProgress(eraId, progress, true);
+    syncPlaybackBar(eraId);
+    if (onChangeCallback) onChangeCallback(eraId);
+}
+
+// ─── Animation ───
+// Reduced motion: playing cuts from stage stop to stage stop, holding each
+function cutToNextStop(eraId, animation, dt) {
+    animation.hold -= dt;
+    if (animation.hold > 0) return;
+    animation.hold = STAGE_HOLD;
+
+    const direction = animation.target === 1 ? 1 : -1;
+    let stop = nextStop(eraId, getExplodeProgress(eraId), direction);
+    if (stop === undefined) {
+        animation.target = 1 - animation.target;
+        stop = nextStop(eraId, getExplodeProgress(eraId), -direction);
+    }
+    if (stop !== undefined) setProgress(eraId, stop);
+}
+
+// Runs on its own frames so it also drives the stills when WebGL is unavailable
+function tick(now) {
+    rafId = null;
+    const dt = lastTime === null ? 0 : Math.min((now - lastTime) / 1000, MAX_TICK);
+    lastTime = now;
+
+    Object.keys(animations).forEach(eraId => {
+        const animation = animations[eraId];
+        if (animation.loop && prefersReducedMotion()) {
+            cutToNextStop(eraId, animation, dt);
+            return;
+        }
+
+        const remaining = animation.target - getExplodeProgress(eraId);
+        const step = animation.speed * dt;
+
+        if (Math.abs(remaining) > step) {
+            setProgress(eraId, getExplodeProgress(eraId) + Math.sign(remaining) * step);
+            return;
+        }
+        setProgress(eraId, animation.target);
+        if (animation.loop) {
+            animation.target = animation.target === 1 ? 0 : 1;
+        } else {
+            delete animations[eraId];
+            syncPlaybackBar(eraId);
+        }
+    });
+
+    if (Object.keys(animations).length) schedule();
+    else lastTime = null;
+}
+
+function schedule() {
+    if (rafId === null) rafId = requestAnimationFrame(tick);
+}
+
+function animateTo(eraId, target, speed, loop = false) {
+    animations[eraId] = { target, speed, loop, hold: 0 };
+    schedule();
+}
+
+// ─── Controls ───
+function onClick(e) {
+    const button = e.target.closest('.playback-toggle, .stage-step, .scroll-lock');
+    if (!button) return;
+
+    const eraId = button.dataset.era;
+    if (button.classList.contains('playback-toggle')) setPlaying(eraId, !isPlaying(eraId));
+    else if (button.classList.contains('stage-step')) stepStage(eraId, Number(button.dataset.step));
+    else setLocked(eraId, !isExplodeLocked(eraId));
+}
+
+function onInput(e) {
+    if (!e.target.matches('.explode-slider')) return;
+    scrubTo(e.target.dataset.era, parseFloat(e.target.value));
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Bind the .playback-bar controls rendered by timelineUI.js.
+ */
+export function initPlayback() {
+    document.addEventListener('click', onClick);
+    document.addEventListener('input', onInput);
+}
+
+/**
+ * Called with the eraId whenever playback moves an era's explode.
+ */
+export function setOnPlaybackChange(callback) {
+    onChangeCallback = callback;
+}
+
+// Stage stops come from the built model; without it, steps go end to end
+export function registerPlaybackParts(eraId, parts) {
+    eraParts[eraId] = parts;
+}
+
+export function unregisterPlaybackParts(eraId) {
+    delete eraParts[eraId];
+}
+
+export function isPlaying(eraId) {
+    return !!animations[eraId]?.loop;
+}
+
+/**
+ * Play: loop assembled ⇄ exploded from where it is — under reduced motion,
+ * stage by stage in cuts. Pause: hold where it is.
+ */
+export function setPlaying(eraId, on) {
+    if (on) {
+        const progress = getExplodeProgress(eraId);
+        animateTo(eraId, progress >= 1 - STOP_EPSILON ? 0 : 1, 1 / LOOP_DURATION, true);
+    } else {
+        delete animations[eraId];
+    }
+    syncPlaybackBar(eraId);
+}
+
+/**
+ * Glide to the next (direction 1) or previous (-1) stage stop: one part
+ * group further out or back in. Cuts straight there under reduced motion.
+ */
+export function stepStage(eraId, direction) {
+    // Repeated presses step on from where a glide is heading
+    const animation = animations[eraId];
+    const from = animation && !animation.loop ? animation.target : getExplodeProgress(eraId);
+    const target = nextStop(eraId, from, direction);
+
+    if (target !== undefined) glideExplode(eraId, target);
+    else stopPlayback(eraId);
+}
+
+/**
+ * Glide an era's held explode to progress (stops playback), e.g. for a tour
+ * step. Cuts straight there under reduced motion.
+ */
+export function glideExplode(eraId, progress) {
+    delete animations[eraId];
+    const target = Math.max(0, Math.min(1, progress));
+    if (prefersReducedMotion()) setProgress(eraId, target);
+    else animateTo(eraId, target, Math.max(Math.abs(target - getExplodeProgress(eraId)), 0.1) / STEP_DURATION);
+    syncPlaybackBar(eraId);
+}
+
+/**
+ * The slider: hold the explode exactly here (pauses playback).
+ */
+export function scrubTo(eraId, progress) {
+    delete animations[eraId];
+    setProgress(eraId, progress);
+}
+
+/**
+ * Lock: the model stops following scroll, including when its section is
+ * left. Unlock hands it back to scroll (and stops playback).
+ */
+export function setLocked(eraId, locked) {
+    if (!locked) delete animations[eraId];
+    setExplodeLocked(eraId, locked);
+    syncPlaybackBar(eraId);
+    if (onChangeCallback) onChangeCallback(eraId);
+}
+
+export function stopPlayback(eraId) {
+    if (!animations[eraId]) return;
+    delete animations[eraId];
+    syncPlaybackBar(eraId);
+}
+
+/**
+ * A section was left: playback stops with it unless the era is locked.
+ */
+export function onPlaybackSectionChange(prevSection) {
+    if (prevSection && !isExplodeLocked(prevSection)) stopPlayback(prevSection);
+}
+
+/**
+ * Reflect an era's explode progress, play and lock state in its bar.
+ */
+export function syncPlaybackBar(eraId) {
+    const bar = getBar(eraId);
+    if (!bar) return;
+
+    const progress = getExplodeProgress(eraId);
+    const slider = bar.querySelector('.explode-slider');
+    if (slider) {
+        const value = String(Math.round(progress * 100) / 100);
+        if (slider.value !== value) slider.value = value;
+        slider.setAttribute('aria-valuetext', `${Math.round(progress * 100)}% exploded`);
+    }
+
+    const playing = isPlaying(eraId);
+    const toggle = bar.querySelector('.playback-toggle');
+    if (toggle && toggle.getAttribute('aria-pressed') !== String(playing)) {
+        toggle.setAttribute('aria-pressed', String(playing));
+        toggle.textContent = playing ? 'Pause' : 'Play';
+    }
+
+    const lock = bar.querySelector('.scroll-lock');
+    if (lock) lock.setAttribute('aria-pressed', String(isExplodeLocked(eraId)));
+}
+
+export function disposePlayback() {
+    document.removeEventListener('click', onClick);
+    document.removeEventListener('input', onInput);
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+    lastTime = null;
+    animations = {};
+    eraParts = {};
+    onChangeCallback = null;
+}
@@ -0,0 +1,177 @@
+// quality.js — Adaptive quality: frame-time sampling and tiered downgrades, with a manual override
+import { setShadowMapSize } from './lighting.js';
+import { setWireframeOverlaysVisible } from './materials.js';
+import { setEffectsVisible } from './effects.js';
+import { invalidate } from './scheduler.js';
+
+// Ordered cheapest → richest. 'high' matches the original fixed settings.
+export const QUALITY_TIERS = [
+    { name: 'low', label: 'Low', pixelRatio: 1, bloom: false, shadowMapSize: 0, particles: 0.25, wireframes: false, effects: false },
+    { name: 'medium', label: 'Medium', pixelRatio: 1.5, bloom: false, shadowMapSize: 512, particles: 0.5, wireframes: true, effects: true },
+    { name: 'high', label: 'High', pixelRatio: 2, bloom: true, shadowMapSize: 1024, particles: 1, wireframes: true, effects: true },
+    { name: 'ultra', label: 'Ultra', pixelRatio: 2, bloom: true, shadowMapSize: 2048, particles: 1, wireframes: true, effects: true }
+];
+
+const TARGET_FPS = 50;
+const SAMPLE_WINDOW = 90;       // frames per measurement
+const SLOW_WINDOWS = 2;         // consecutive slow windows before stepping down
+const SETTLE_WINDOWS = 2;       // windows ignored after a change while the GPU settles
+const MAX_FRAME_GAP = 250;      // ms — longer gaps are tab switches / scroll jank, not load
+
+let renderer = null;
+let composer = null;
+let bloomPass = null;
+let scene = null;
+let particles = null;
+
+let tierIndex = 2;
+let auto = true;
+let samples = [];
+let lastFrame = null;
+let slowWindows = 0;
+let settleWindows = 0;
+
+function tierByName(name) {
+    return QUALITY_TIERS.findIndex(tier => tier.name === name);
+}
+
+// Median frame time of the window — robust to the odd GC pause
+function medianFrameTime() {
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function applyTier() {
+    const tier = QUALITY_TIERS[tierIndex];
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, tier.pixelRatio);
+
+    if (renderer && renderer.getPixelRatio() !== pixelRatio) {
+        renderer.setPixelRatio(pixelRatio);
+        if (composer) composer.setPixelRatio(pixelRatio);
+    }
+    if (bloomPass) bloomPass.enabled = tier.bloom;
+
+    setShadowMapSize(tier.shadowMapSize);
+    if (scene) setWireframeOverlaysVisible(scene, tier.wireframes);
+    setEffectsVisible(tier.effects);
+
+    if (particles) {
+        const count = particles.geometry.attributes.position.count;
+        particles.geometry.setDrawRange(0, Math.round(count * tier.particles));
+    }
+
+    samples = [];
+    slowWindows = 0;
+    settleWindows = SETTLE_WINDOWS;
+    syncControls();
+    invalidate();
+}
+
+// ─── UI ───
+// Every [data-quality-select] <select> offers Auto plus the tiers
+function syncControls() {
+    document.querySelectorAll('[data-quality-select]').forEach(select => {
+        select.value = auto ? 'auto' : QUALITY_TIERS[tierIndex].name;
+        const autoOption = select.querySelector('option[value="auto"]');
+        if (autoOption) autoOption.textContent = auto ? `Auto (${QUALITY_TIERS[tierIndex].label})` : 'Auto';
+    });
+}
+
+function onSelectChange(e) {
+    setQuality(e.currentTarget.value);
+}
+
+function bindControls() {
+    document.querySelectorAll('[data-quality-select]').forEach(select => {
+        select.innerHTML = [
+            '<option value="auto">Auto</option>',
+            ...QUALITY_TIERS.map(tier => `<option value="${tier.name}">${tier.label}</option>`)
+        ].join('');
+        select.addEventListener('change', onSelectChange);
+    });
+    syncControls();
+}
+
+/**
+ * Take over the renderer knobs. The starting tier comes from ?quality=
+ * (auto | low | medium | high | ultra), else 'medium' on small screens and
+ * 'high' elsewhere, with auto-downgrade on.
+ */
+export function initQuality(options) {
+    ({ renderer, composer, bloomPass, scene, particles } = options);
+
+    const param = new URLSearchParams(window.location.search).get('quality');
+    tierIndex = tierByName(window.innerWidth < 768 ? 'medium' : 'high');
+    auto = true;
+
+    if (param && param !== 'auto' && tierByName(param) >= 0) {
+        tierIndex = tierByName(param);
+        auto = false;
+    }
+
+    bindControls();
+    applyTier();
+}
+
+/**
+ * Manual override: a tier name pins that tier, 'auto' hands control back to
+ * the frame-time monitor (from the current tier).
+ */
+export function setQuality(name) {
+    if (name === 'auto') {
+        auto = true;
+        samples = [];
+        slowWindows = 0;
+        syncControls();
+        return;
+    }
+    const index = tierByName(name);
+    if (index < 0) return;
+    auto = false;
+    tierIndex = index;
+    applyTier();
+}
+
+export function getQuality() {
+    return { tier: QUALITY_TIERS[tierIndex].name, auto };
+}
+
+/**
+ * Per-frame: sample the frame time and, in auto mode, step down a tier when
+ * the median stays above the target budget. Only steady frames (the loop was
+ * already running, see scheduler.js) are sampled — an on-demand frame's gap
+ * is how long the page waited for input, not what rendering costs.
+ */
+export function updateQuality(now = performance.now(), steady = true) {
+    const gap = lastFrame === null ? null : now - lastFrame;
+    lastFrame = now;
+    if (!auto || !steady || gap === null || gap > MAX_FRAME_GAP) return;
+
+    samples.push(gap);
+    if (samples.length < SAMPLE_WINDOW) return;
+
+    const median = medianFrameTime();
+    samples = [];
+
+    if (settleWindows > 0) {
+        settleWindows--;
+        return;
+    }
+
+    slowWindows = median > 1000 / TARGET_FPS ? slowWindows + 1 : 0;
+    if (slowWindows >= SLOW_WINDOWS && tierIndex > 0) {
+        tierIndex--;
+        applyTier();
+    }
+}
+
+export function disposeQuality() {
+    document.querySelectorAll('[data-quality-select]').forEach(select => {
+        select.removeEventListener('change', onSelectChange);
+    });
+    renderer = composer = bloomPass = scene = particles = null;
+    samples = [];
+    lastFrame = null;
+    slowWindows = 0;
+    settleWindows = 0;
+}
@@ -0,0 +1,28 @@
+// random.js — Seeded pseudo-random numbers, a drop-in for Math.random where output must repeat
+
+/**
+ * mulberry32: returns a () => [0, 1) generator. The same seed always yields
+ * the same sequence, so seeded scenes render identically across runs.
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A 32-bit seed from a string (FNV-1a), e.g. an era id, so each era gets
+ * its own repeatable sequence.
+ */
+export function seedFromString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -1,10 +1,37 @@
 // scene.js — Scene, Camera, Renderer setup
 import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { SlotRenderPass } from './viewports.js';
 
-let scene, camera, renderer, composer;
+let scene, camera, backdropCamera, renderer, composer, bloomPass;
+
+/**
+ * WebGL renderer with the page's tone mapping and soft shadows. Extra
+ * parameters (e.g. preserveDrawingBuffer for the snapshot tool) are passed through.
+ */
+export function createRenderer(params = {}) {
+    const webglRenderer = new THREE.WebGLRenderer({
+        antialias: true,
+        alpha: true,
+        powerPreference: 'high-performance',
+        ...params
+    });
+    webglRenderer.toneMapping = THREE.ACESFilmicToneMapping;
+    webglRenderer.toneMappingExposure = 1.2;
+    webglRenderer.shadowMap.enabled = true;
+    webglRenderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    return webglRenderer;
+}
+
+export function createBloomPass(width, height) {
+    return new UnrealBloomPass(
+        new THREE.Vector2(width, height),
+        0.6,   // strength
+        0.4,   // radius
+        0.85   // threshold
+    );
+}
 
 export function init(container) {
     // Scene
@@ -12,66 +39,73 @@ export function init(container) {
     scene.background = new THREE.Color(0x000000);
     scene.fog = new THREE.FogExp2(0x000000, 0.015);
 
-    // Camera — static cinematic framing
-    camera = new THREE.PerspectiveCamera(
+    // Camera — posed per era by cameraController.js; its aspect follows the active slot
+    camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+    camera.position.set(0, 1.5, 8);
+    camera.lookAt(0, 0, 0);
+
+    // Backdrop camera — fixed full-frame view of the grid and particles
+    backdropCamera = new THREE.PerspectiveCamera(
         45,
         container.clientWidth / container.clientHeight,
         0.1,
         1000
     );
-    camera.position.set(0, 1.5, 8);
-    camera.lookAt(0, 0, 0);
+    backdropCamera.position.set(0, 1.5, 8);
+    backdropCamera.lookAt(0, 0, 0);
 
     // Renderer
     const pixelRatio = Math.min(window.devicePixelRatio, 2);
-    renderer = new THREE.WebGLRenderer({
-        antialias: true,
-        alpha: true,
-        powerPreference: 'high-performance'
-    });
+    renderer = createRenderer();
     renderer.setSize(container.clientWidth, container.clientHeight);
     renderer.setPixelRatio(pixelRatio);
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.2;
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     container.appendChild(renderer.domElement);
 
-    // Post-processing — bloom
+    // Post-processing — backdrop + per-slot viewports, then bloom over the whole frame
     composer = new EffectComposer(renderer);
-    const renderPass = new RenderPass(scene, camera);
-    composer.addPass(renderPass);
+    const slotPass = new SlotRenderPass(scene, backdropCamera);
+    composer.addPass(slotPass);
 
-    const bloomPass = new UnrealBloomPass(
-        new THREE.Vector2(container.clientWidth, container.clientHeight),
-        0.6,   // strength
-        0.4,   // radius
-        0.85   // threshold
-    );
+    bloomPass = createBloomPass(container.clientWidth, container.clientHeight);
     composer.addPass(bloomPass);
 
-    return { scene, camera, renderer, composer };
+    return { scene, camera, renderer, composer, bloomPass };
 }
 
 export function resize(container) {
-    if (!camera || !renderer || !composer) return;
+    if (!backdropCamera || !renderer || !composer) return;
     const w = container.clientWidth;
     const h = container.clientHeight;
-    camera.aspect = w / h;
-    camera.updateProjectionMatrix();
+    backdropCamera.aspect = w / h;
+    backdropCamera.updateProjectionMatrix();
     renderer.setSize(w, h);
     composer.setSize(w, h);
-
-    // Responsive camera — pull back on mobile for better framing
-    if (w < 768) {
-        camera.position.set(0, 1.5, 11);
-    } else {
-        camera.position.set(0, 1.5, 8);
-    }
-    camera.lookAt(0, 0, 0);
 }
 
 export function getScene() { return scene; }
 export function getCamera() { return camera; }
 export function getRenderer() { return renderer; }
 export function getComposer() { return composer; }
+export function getBloomPass() { return bloomPass; }
+
+/**
+ * Free everything left in the scene (environment, lights' shadow maps), the
+ * composer's render targets and the WebGL context, and remove the canvas.
+ * Era models are disposed before this by their owners.
+ */
+export function dispose() {
+    if (!renderer) return;
+    scene.traverse(child => {
+        if (child.isLight) child.dispose();
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+        }
+    });
+    composer.passes.forEach(pass => pass.dispose());
+    composer.dispose();
+    renderer.dispose();
+    renderer.forceContextLoss();    // browsers cap live contexts; don't wait for GC
+    renderer.domElement.remove();
+    scene = camera = backdropCamera = renderer = composer = bloomPass = null;
+}
@@ -0,0 +1,102 @@
+// scheduler.js — On-demand render loop: sleeps when hidden or nothing is on screen, wakes on change
+//
+// The loop runs continuously only while a slot is visible and either ambient
+// ("idle") effects are on or something asks for continuous frames (a running
+// mechanism, orbit damping). Otherwise it renders when invalidated — scroll,
+// input, scroll-scrubbed progress, tweens — and then goes back to sleep.
+
+const WAKE_EVENTS = ['scroll', 'resize', 'pointermove', 'pointerdown', 'wheel', 'keydown'];
+
+let frameCallback = null;
+let rafId = null;
+let idleEffects = true;
+let continuous = new Set();     // keys of anything that needs every frame
+let animateUntil = 0;           // keep rendering until this timestamp (short settles)
+let steady = false;             // the last frame kept the loop running (frame gaps are real frame times)
+
+function schedule() {
+    if (rafId !== null || !frameCallback || document.hidden) return;
+    rafId = requestAnimationFrame(tick);
+}
+
+function tick(now) {
+    rafId = null;
+    if (document.hidden) {
+        steady = false;
+        return;
+    }
+
+    // The frame reports whether any slot (model or aura) is on screen
+    const contentVisible = frameCallback(now, steady);
+
+    steady = ((idleEffects || continuous.size > 0) && contentVisible) || now < animateUntil;
+    if (steady) schedule();
+}
+
+function onWake() {
+    invalidate();
+}
+
+function onVisibilityChange() {
+    if (!document.hidden) invalidate();
+}
+
+/**
+ * Start driving frame(now, steady) → boolean (true while any slot is visible).
+ * steady is true when the previous frame kept the loop running, so the gap
+ * since it is a frame time rather than a wait for the next wake-up.
+ */
+export function startRenderLoop(frame) {
+    frameCallback = frame;
+    WAKE_EVENTS.forEach(type => window.addEventListener(type, onWake, { passive: true }));
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    invalidate();
+}
+
+export function stopRenderLoop() {
+    if (rafId !== null) cancelAnimationFrame(rafId);
+    rafId = null;
+    frameCallback = null;
+    WAKE_EVENTS.forEach(type => window.removeEventListener(type, onWake));
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    continuous = new Set();
+    animateUntil = 0;
+    steady = false;
+}
+
+/**
+ * Request a frame; pass a duration (ms) to keep rendering while something settles.
+ */
+export function invalidate(duration = 0) {
+    if (duration > 0) animateUntil = Math.max(animateUntil, performance.now() + duration);
+    schedule();
+}
+
+/**
+ * Ask for (or release) continuous frames under a key, e.g. 'mechanism:steam'.
+ */
+export function setContinuous(key, on) {
+    if (on) {
+        continuous.add(key);
+        schedule();
+    } else {
+        continuous.delete(key);
+    }
+}
+
+/**
+ * Ambient animation (particles, aura, hero carousel, shader effects). When
+ * off, frames are only drawn on demand and the ambient clock stands still.
+ */
+export function setIdleEffects(on) {
+    idleEffects = on;
+    invalidate();
+}
+
+export function areIdleEffectsEnabled() {
+    return idleEffects;
+}
+
+export function isRenderLoopAwake() {
+    return rafId !== null;
+}
@@ -3,40 +3,168 @@ import { setupExplodedView, updateExplodedView, setGroupOpacity } from './animat
 
 let activeSection = 'hero';
 let sectionModels = {};
+let sectionProgress = {};
 let scrollTriggers = [];
 let onSectionChangeCallback = null;
+let onProgressCallback = null;
 
-const ERA_SECTIONS = ['wheel', 'steam', 'electricity', 'internet', 'ai'];
+// Reduced motion: explode snaps between assembled and exploded instead of following scroll
+let discreteExplode = false;
+// sectionId → held explode progress, set by the explode buttons and shared
+// links. Scrubbed sections hold it until they are left; in discrete mode it sticks.
+let explodeStates = {};
+// Sections whose held explode is locked (playback.js): kept when the section is left, until unlocked
+let lockedSections = new Set();
 
 export function setOnSectionChange(callback) {
     onSectionChangeCallback = callback;
 }
 
+// Called with (sectionId, progress) whenever a section's scroll progress updates
+export function setOnProgress(callback) {
+    onProgressCallback = callback;
+}
+
 export function registerModel(sectionId, modelData) {
     sectionModels[sectionId] = modelData;
     // Initialize exploded view positions
     setupExplodedView(modelData.parts);
+    applyExplode(sectionId);
+}
+
+// The model was disposed (far-away era, see modelCache.js); its progress and held state stay
+export function unregisterModel(sectionId) {
+    delete sectionModels[sectionId];
 }
 
 export function getActiveSection() {
     return activeSection;
 }
 
-export function initScrollTriggers() {
+// Last explode progress applied to a section's model (0 = assembled)
+export function getSectionProgress(sectionId) {
+    return sectionProgress[sectionId] || 0;
+}
+
+/**
+ * Explode progress actually shown for a section: the held value when set by
+ * a button or link, 0 in discrete mode, else the scroll progress. Camera
+ * keyframes and annotations follow this.
+ */
+export function getExplodeProgress(sectionId) {
+    if (sectionId in explodeStates) return explodeStates[sectionId];
+    if (discreteExplode) return 0;
+    return getSectionProgress(sectionId);
+}
+
+function applyExplode(sectionId) {
+    const model = sectionModels[sectionId];
+    if (model && model.parts) {
+        updateExplodedView(model.parts, getExplodeProgress(sectionId));
+    }
+}
+
+/**
+ * Switch between scroll-scrubbed explode and discrete assembled/exploded
+ * states. Held states snap to assembled/exploded entering discrete mode and
+ * are dropped leaving it; every model jumps to the new mode.
+ */
+export function setDiscreteExplode(on) {
+    if (on === discreteExplode) return;
+    discreteExplode = on;
+    if (on) {
+        Object.keys(explodeStates).forEach(id => { explodeStates[id] = Math.round(explodeStates[id]); });
+    } else {
+        Object.keys(explodeStates).forEach(id => {
+            if (!lockedSections.has(id)) delete explodeStates[id];
+        });
+    }
+    Object.keys(sectionModels).forEach(applyExplode);
+}
+
+export function isDiscreteExplode() {
+    return discreteExplode;
+}
+
+/**
+ * Assemble or explode a section's model in one step (the explode buttons).
+ */
+export function setExplodeState(sectionId, exploded) {
+    holdExplodeProgress(sectionId, exploded ? 1 : 0);
+}
+
+/**
+ * Hold a section's explode at a progress (0–1) as if set by a button —
+ * rounded to assembled/exploded in discrete mode unless exact (the
+ * playback slider is a deliberate scrub).
+ */
+export function holdExplodeProgress(sectionId, progress, exact = false) {
+    const t = Math.max(0, Math.min(1, progress));
+    explodeStates[sectionId] = discreteExplode && !exact ? Math.round(t) : t;
+    applyExplode(sectionId);
+}
+
+/**
+ * Detach a section's explode from scroll at its current progress (locked),
+ * or hand it back to scroll.
+ */
+export function setExplodeLocked(sectionId, locked) {
+    if (locked) {
+        lockedSections.add(sectionId);
+        if (!(sectionId in explodeStates)) holdExplodeProgress(sectionId, getExplodeProgress(sectionId), true);
+        return;
+    }
+    lockedSections.delete(sectionId);
+    if (!discreteExplode) {
+        delete explodeStates[sectionId];
+        applyExplode(sectionId);
+    }
+}
+
+export function isExplodeLocked(sectionId) {
+    return lockedSections.has(sectionId);
+}
+
+// Whether the model currently reads as exploded — what a toggle would undo
+export function getExplodeState(sectionId) {
+    return getExplodeProgress(sectionId) >= 0.5;
+}
+
+/**
+ * Jump to a section without animation, landing where its nav anchor would.
+ */
+export function scrollToSection(sectionId) {
+    const sectionEl = document.getElementById(sectionId);
+    if (!sectionEl) return;
+    window.scrollTo({ top: sectionEl.getBoundingClientRect().top + window.scrollY, behavior: 'instant' });
+}
+
+/**
+ * Create the section triggers. initial ({ section, progress }) restores a
+ * shared view: the page jumps to the section with its explode held at progress.
+ */
+export function initScrollTriggers(eraSections, initial = {}) {
     // Register GSAP ScrollTrigger plugin
     gsap.registerPlugin(ScrollTrigger);
 
-    // Hero section — detect when leaving
-    ScrollTrigger.create({
+    // Hero section — detect when leaving; its progress drives the carousel handoff
+    const heroTrigger = ScrollTrigger.create({
         trigger: '#hero',
         start: 'top top',
         end: 'bottom top',
         onEnter: () => setActiveSection('hero'),
-        onEnterBack: () => setActiveSection('hero')
+        onEnterBack: () => setActiveSection('hero'),
+        onUpdate: (self) => {
+            sectionProgress.hero = self.progress;
+            if (onProgressCallback) {
+                onProgressCallback('hero', self.progress);
+            }
+        }
     });
+    scrollTriggers.push(heroTrigger);
 
     // Era sections — each gets a ScrollTrigger that maps progress to explode animation
-    ERA_SECTIONS.forEach(sectionId => {
+    eraSections.forEach(sectionId => {
         const sectionEl = document.getElementById(sectionId);
         if (!sectionEl) return;
 
@@ -48,16 +176,24 @@ export function initScrollTriggers() {
             onEnter: () => setActiveSection(sectionId),
             onEnterBack: () => setActiveSection(sectionId),
             onUpdate: (self) => {
-                // Map scroll progress to exploded view
-                const model = sectionModels[sectionId];
-                if (model && model.parts) {
-                    updateExplodedView(model.parts, self.progress);
+                // Map scroll progress to exploded view (unless held by a button or discrete mode)
+                sectionProgress[sectionId] = self.progress;
+                applyExplode(sectionId);
+                if (onProgressCallback) {
+                    onProgressCallback(sectionId, self.progress);
                 }
             }
         });
 
         scrollTriggers.push(st);
     });
+
+    if (eraSections.includes(initial.section)) {
+        if (initial.progress !== null && initial.progress !== undefined) {
+            holdExplodeProgress(initial.section, initial.progress);
+        }
+        scrollToSection(initial.section);
+    }
 }
 
 function setActiveSection(sectionId) {
@@ -65,6 +201,12 @@ function setActiveSection(sectionId) {
     const prevSection = activeSection;
     activeSection = sectionId;
 
+    // A button-held explode lasts only while its scrubbed section is active
+    if (!discreteExplode && prevSection in explodeStates && !lockedSections.has(prevSection)) {
+        delete explodeStates[prevSection];
+        applyExplode(prevSection);
+    }
+
     if (onSectionChangeCallback) {
         onSectionChangeCallback(sectionId, prevSection);
     }
@@ -74,4 +216,11 @@ export function dispose() {
     scrollTriggers.forEach(st => st.kill());
     scrollTriggers = [];
     sectionModels = {};
+    sectionProgress = {};
+    explodeStates = {};
+    lockedSections = new Set();
+    activeSection = 'hero';
+    discreteExplode = false;
+    onSectionChangeCallback = null;
+    onProgressCallback = null;
 }
@@ -1,4 +1,4 @@
-// shaders.js — Vertex displacement pulse & holographic aura
+// shaders.js — Vertex displacement pulse, part effects & holographic aura
 import * as THREE from 'three';
 
 // Vertex displacement pulse shader
@@ -41,10 +41,14 @@ const pulseFragmentShader = `
     }
 `;
 
+// Shared clock — every effect material references this one uniform, so the
+// render loop advances them all with a single write (see updateShaderEffects)
+const sharedTime = { value: 0 };
+
 export function createPulseShaderMaterial() {
     return new THREE.ShaderMaterial({
         uniforms: {
-            uTime: { value: 0 },
+            uTime: sharedTime,
             uAmplitude: { value: 0.02 },
             uColor: { value: new THREE.Color(0x2563EB) }
         },
@@ -57,6 +61,139 @@ export function createPulseShaderMaterial() {
     });
 }
 
+// ═══════════════════════════════════════════
+// PART EFFECTS
+// Additive shells drawn over a part. Effects that travel along a part use
+// uAxis / uStart / uLength: the part's longest local axis and its extent.
+// ═══════════════════════════════════════════
+
+const effectVertexShader = `
+    uniform float uTime;
+    uniform float uAmplitude;
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    varying vec3 vViewDir;
+
+    void main() {
+        vNormal = normalize(normalMatrix * normal);
+        vPosition = position;
+
+        // Heat shimmer wobbles the shell; other effects leave uAmplitude at 0
+        float wobble = sin(uTime * 6.0 + position.x * 9.0) * cos(uTime * 4.0 + position.y * 7.0);
+        vec3 displaced = position + normal * wobble * uAmplitude;
+
+        vec4 mvPosition = modelViewMatrix * vec4(displaced, 1.0);
+        vViewDir = normalize(-mvPosition.xyz);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const effectFragmentPars = `
+    uniform float uTime;
+    uniform vec3 uColor;
+    uniform float uIntensity;
+    uniform float uSpeed;
+    uniform float uOffset;
+    uniform vec3 uAxis;
+    uniform float uStart;
+    uniform float uLength;
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    varying vec3 vViewDir;
+
+    // 0 → 1 along the part's long axis
+    float alongAxis() {
+        return clamp((dot(vPosition, uAxis) - uStart) / uLength, 0.0, 1.0);
+    }
+
+    float fresnel() {
+        return pow(1.0 - abs(dot(normalize(vNormal), normalize(vViewDir))), 2.0);
+    }
+`;
+
+// Bright bands streaming along cables and wires
+const energyFlowFragment = effectFragmentPars + `
+    void main() {
+        float s = alongAxis();
+        float band = fract(s * 3.0 - uTime * uSpeed + uOffset);
+        float glow = pow(band, 6.0) + 0.15;
+        gl_FragColor = vec4(uColor * uIntensity, glow * (0.5 + fresnel() * 0.5));
+    }
+`;
+
+// Rising warm glow at grazing angles, flickering with the wobble
+const heatShimmerFragment = effectFragmentPars + `
+    void main() {
+        float rise = sin(vPosition.y * 10.0 - uTime * uSpeed * 3.0) * 0.5 + 0.5;
+        float flicker = 0.7 + 0.3 * sin(uTime * 13.0 + vPosition.x * 5.0);
+        float alpha = fresnel() * (0.25 + rise * 0.35) * flicker;
+        gl_FragColor = vec4(uColor * uIntensity, alpha);
+    }
+`;
+
+// Discrete packets hopping along a bus line
+const dataPacketsFragment = effectFragmentPars + `
+    void main() {
+        float s = alongAxis();
+        float lane = fract(s * 6.0 - uTime * uSpeed + uOffset);
+        float packet = step(0.8, lane) * step(lane, 0.95);
+        gl_FragColor = vec4(uColor * uIntensity, packet * 0.9 + 0.05);
+    }
+`;
+
+// One pulse crossing the connection, phased by uOffset so signals cascade through the network
+const signalFragment = effectFragmentPars + `
+    void main() {
+        float s = alongAxis();
+        float phase = fract(uTime * uSpeed * 0.25 + uOffset) * 1.6 - 0.3;
+        float pulse = exp(-pow((s - phase) * 8.0, 2.0));
+        gl_FragColor = vec4(uColor * uIntensity, pulse * 0.95 + 0.05);
+    }
+`;
+
+const EFFECT_SHADERS = {
+    energyFlow: { fragmentShader: energyFlowFragment, color: 0x60A5FA, speed: 1.2, amplitude: 0 },
+    heatShimmer: { fragmentShader: heatShimmerFragment, color: 0xFF7A1A, speed: 1.0, amplitude: 0.015 },
+    dataPackets: { fragmentShader: dataPacketsFragment, color: 0x93C5FD, speed: 0.8, amplitude: 0 },
+    signal: { fragmentShader: signalFragment, color: 0xA78BFA, speed: 1.0, amplitude: 0 }
+};
+
+export const EFFECT_TYPES = ['pulse', ...Object.keys(EFFECT_SHADERS)];
+
+/**
+ * Effect material by name. Options: color, intensity, speed, offset, and
+ * axis / start / length (the span travelling effects run along).
+ */
+export function createEffectMaterial(type, opts = {}) {
+    if (type === 'pulse') {
+        const material = createPulseShaderMaterial();
+        if (opts.color !== undefined) material.uniforms.uColor.value.set(opts.color);
+        return material;
+    }
+
+    const def = EFFECT_SHADERS[type];
+    if (!def) return null;
+
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            uTime: sharedTime,
+            uAmplitude: { value: def.amplitude },
+            uColor: { value: new THREE.Color(opts.color ?? def.color) },
+            uIntensity: { value: opts.intensity ?? 1.0 },
+            uSpeed: { value: opts.speed ?? def.speed },
+            uOffset: { value: opts.offset ?? 0 },
+            uAxis: { value: (opts.axis || new THREE.Vector3(0, 1, 0)).clone() },
+            uStart: { value: opts.start ?? -0.5 },
+            uLength: { value: opts.length ?? 1.0 }
+        },
+        vertexShader: effectVertexShader,
+        fragmentShader: def.fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+}
+
 // Holographic rotating wireframe aura
 export function createHolographicAura(radius = 3.0) {
     const geometry = new THREE.IcosahedronGeometry(radius, 1);
@@ -73,8 +210,9 @@ export function createHolographicAura(radius = 3.0) {
     return mesh;
 }
 
-export function updateShaderTime(material, time) {
-    if (material.uniforms && material.uniforms.uTime) {
-        material.uniforms.uTime.value = time;
-    }
+/**
+ * Per-frame: advance every pulse/effect material at once via the shared clock.
+ */
+export function updateShaderEffects(time) {
+    sharedTime.value = time;
 }
@@ -0,0 +1,115 @@
+// timeline.js — Era manifest: the single source of truth for sections, nav, palettes and models
+import { registerEraPalette } from './materials.js';
+
+const MANIFEST_URL = 'data/timeline.json';
+
+// Hero / non-era framing; eras without explicit camera fields are fitted to their model
+const DEFAULT_CAMERA = {
+    position: [0, 1.5, 8],
+    target: [0, 0, 0],
+    fov: 45
+};
+
+let eras = [];
+
+// '#8B6914' → 0x8B6914
+function parseColor(value) {
+    if (typeof value === 'number') return value;
+    return parseInt(String(value).replace('#', ''), 16);
+}
+
+function normalizeEra(era) {
+    const palette = {};
+    Object.entries(era.palette || {}).forEach(([key, value]) => {
+        palette[key] = parseColor(value);
+    });
+
+    return {
+        ...era,
+        label: era.label || era.title,
+        palette,
+        model: era.model || { procedural: era.id },
+        camera: era.camera || {}
+    };
+}
+
+/**
+ * Normalize a manifest ({ eras: [...] }) without making it the page's, e.g.
+ * for an embedded viewer. Each era's palette is registered with the material
+ * system so model builders can look it up by id.
+ */
+export function parseTimeline(data) {
+    const list = (data.eras || []).map(normalizeEra);
+    list.forEach(era => {
+        if (Object.keys(era.palette).length) registerEraPalette(era.id, era.palette);
+    });
+
+    return list;
+}
+
+/**
+ * Fetch and normalize a manifest (see parseTimeline); the page's is untouched.
+ */
+export async function fetchTimeline(url = MANIFEST_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Timeline manifest ${url} failed to load (${response.status})`);
+    }
+    return parseTimeline(await response.json());
+}
+
+/**
+ * Fetch the page's timeline manifest (one per page).
+ */
+export async function loadTimeline(url = MANIFEST_URL) {
+    eras = await fetchTimeline(url);
+    return eras;
+}
+
+/**
+ * Use an already-loaded manifest as the page's.
+ */
+export function setTimeline(data) {
+    eras = parseTimeline(data);
+    return eras;
+}
+
+export function getEras() { return eras; }
+export function getEraIds() { return eras.map(era => era.id); }
+export function getEra(id) { return eras.find(era => era.id === id) || null; }
+export function getDefaultCamera() { return DEFAULT_CAMERA; }
+
+// 'spoke_3' → 'spoke', 'boilerCap_-1' → 'boilerCap', 'pin_-4_2' → 'pin'
+export function basePartName(name) {
+    return name.replace(/(_-?\d+)+$/, '');
+}
+
+// 'pistonRod' → 'Piston Rod'
+function humanize(name) {
+    return name
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Human-readable label + description for a part, from the era's `components`
+ * map (keyed by exact or base part name). Unlisted parts get a label derived
+ * from their mesh name and an empty description.
+ */
+export function getPartInfo(eraId, partName) {
+    return describePart(getEra(eraId), partName);
+}
+
+/**
+ * getPartInfo for an era object rather than a page era id (viewer.js).
+ */
+export function describePart(era, partName) {
+    const components = era?.components || {};
+    const base = basePartName(partName);
+    const info = components[partName] || components[base] || {};
+    return {
+        label: info.label || humanize(base),
+        description: info.description || ''
+    };
+}
@@ -0,0 +1,98 @@
+// timelineElement.js — <engineering-timeline>: the embeddable viewer (viewer.js) as a custom element
+//
+//   <script type="module" src="js/timelineElement.js"></script>
+//   <engineering-timeline manifest="data/timeline.json" mode="controlled" era="steam" progress="0.4"
+//       style="height: 480px"></engineering-timeline>
+//
+// era, progress and mode follow their attributes (or the same-named
+// properties) at any time; erachange / explodeprogress / partselect /
+// modelerror are dispatched on the element. bloom="off" skips
+// post-processing. The viewer is created on connect and destroyed on
+// disconnect.
+import { createTimelineViewer } from './viewer.js';
+
+export class EngineeringTimelineElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['era', 'progress', 'mode'];
+    }
+
+    constructor() {
+        super();
+        this.viewer = null;
+        this.ready = null;      // resolves to the viewer (null if it failed) once connected
+    }
+
+    connectedCallback() {
+        if (this.ready) return;
+        if (!this.style.display) this.style.display = 'block';
+
+        const ready = createTimelineViewer(this, {
+            manifest: this.getAttribute('manifest') || undefined,
+            mode: this.getAttribute('mode') || 'scroll',
+            era: this.getAttribute('era'),
+            bloom: this.getAttribute('bloom') !== 'off'
+        }).then(viewer => {
+            // Disconnected (and maybe reconnected) while loading
+            if (this.ready !== ready) {
+                viewer.destroy();
+                return null;
+            }
+            this.viewer = viewer;
+            // Attributes changed while it was loading
+            ['era', 'mode', 'progress'].forEach(name => {
+                const value = this.getAttribute(name);
+                if (value !== null) this.attributeChangedCallback(name, null, value);
+            });
+            return viewer;
+        }).catch(err => {
+            console.error('<engineering-timeline> failed to start:', err);
+            return null;
+        });
+        this.ready = ready;
+    }
+
+    disconnectedCallback() {
+        if (this.viewer) this.viewer.destroy();
+        this.viewer = null;
+        this.ready = null;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.viewer || value === null) return;
+        try {
+            if (name === 'era') this.viewer.setEra(value);
+            else if (name === 'progress') this.viewer.setProgress(parseFloat(value));
+            else if (name === 'mode') this.viewer.setMode(value);
+        } catch (err) {
+            console.error(`<engineering-timeline> ${name}="${value}":`, err);
+        }
+    }
+
+    get era() {
+        return this.viewer ? this.viewer.getEra() : this.getAttribute('era');
+    }
+
+    set era(value) {
+        this.setAttribute('era', value);
+    }
+
+    get progress() {
+        return this.viewer ? this.viewer.getProgress() : parseFloat(this.getAttribute('progress')) || 0;
+    }
+
+    set progress(value) {
+        this.setAttribute('progress', String(value));
+    }
+
+    get mode() {
+        return this.viewer ? this.viewer.getMode() : this.getAttribute('mode') || 'scroll';
+    }
+
+    set mode(value) {
+        this.setAttribute('mode', value);
+    }
+}
+
+if (!customElements.get('engineering-timeline')) {
+    customElements.define('engineering-timeline', EngineeringTimelineElement);
+}
@@ -0,0 +1,212 @@
+// timelineUI.js — Generates era sections, nav links and scroll dots from the manifest
+import { prefersReducedMotion } from './motion.js';
+
+const HERO_ID = 'hero';
+
+let scrollHandler = null;
+let revealObserver = null;
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ─── Era Section ───
+function controlsMarkup(era) {
+    const mechanism = era.mechanism
+        ? `
+                        <button type="button" class="pill-btn mechanism-toggle" data-era="${era.id}" aria-pressed="false">Run Mechanism</button>`
+        : '';
+    return `
+                    <div class="era-controls">
+                        <button type="button" class="pill-btn inspect-toggle" data-era="${era.id}" aria-pressed="false">Inspect</button>
+                        <button type="button" class="pill-btn explode-toggle" data-era="${era.id}" aria-pressed="false">Explode</button>${mechanism}
+                        <details class="export-menu">
+                            <summary class="pill-btn">Export</summary>
+                            <div class="export-menu-panel">
+                                <label><input type="checkbox" class="export-exploded"> Exploded as shown</label>
+                                <button type="button" class="pill-btn export-model" data-era="${era.id}" data-format="glb">GLB</button>
+                                <button type="button" class="pill-btn export-model" data-era="${era.id}" data-format="stl">STL</button>
+                            </div>
+                        </details>
+                        <button type="button" class="pill-btn copy-link" data-era="${era.id}">Copy Link</button>
+                    </div>`;
+}
+
+// Overlaid on the bottom of the model slot: explode by hand, play, step, lock (playback.js)
+function playbackMarkup(era) {
+    return `
+                    <div class="playback-bar" data-era="${era.id}" role="group" aria-label="${escapeHtml(era.title)} explode controls">
+                        <button type="button" class="playback-btn stage-step" data-era="${era.id}" data-step="-1" aria-label="Previous part group">&lsaquo;</button>
+                        <button type="button" class="playback-btn playback-toggle" data-era="${era.id}" aria-pressed="false">Play</button>
+                        <button type="button" class="playback-btn stage-step" data-era="${era.id}" data-step="1" aria-label="Next part group">&rsaquo;</button>
+                        <input type="range" class="explode-slider" data-era="${era.id}" min="0" max="1" step="0.01" value="0" aria-label="Explode">
+                        <button type="button" class="playback-btn scroll-lock" data-era="${era.id}" aria-pressed="false"
+                            title="Keep the model as it is while the page scrolls">Lock</button>
+                    </div>`;
+}
+
+function sectionMarkup(era, index) {
+    return `
+    <!-- ERA ${index + 1}: ${escapeHtml(era.title.toUpperCase())} -->
+    <section id="${era.id}" class="era-section" data-era="${era.id}">
+        <div class="year-label">${escapeHtml(era.year)}</div>
+        <div class="max-w-7xl mx-auto px-6 lg:px-8 w-full relative z-10">
+            <div class="grid grid-cols-1 lg:grid-cols-2 gap-12 lg:gap-16 items-center">
+                <div class="order-2 lg:order-1 text-center lg:text-left">
+                    <p class="text-electric text-xs font-semibold tracking-[0.2em] uppercase mb-4 reveal">${escapeHtml(era.year)} • ${escapeHtml(era.location)}</p>
+                    <h2 class="text-3xl sm:text-4xl lg:text-5xl font-extrabold tracking-tight mb-6 reveal reveal-delay-1">${escapeHtml(era.title)}</h2>
+                    <p class="text-gray-400 text-base lg:text-lg leading-relaxed max-w-lg mx-auto lg:mx-0 reveal reveal-delay-2">${escapeHtml(era.body)}</p>
+                </div>
+                <div class="order-1 lg:order-2 flex flex-col items-center justify-center glow-wrap">
+                    <div class="three-visual-slot" data-era="${era.id}" tabindex="0" role="group" aria-roledescription="3D model"
+                        aria-label="${escapeHtml(era.title)}" aria-describedby="${era.id}-model-description"></div>
+                    <div class="sr-only" id="${era.id}-model-description"></div>${playbackMarkup(era)}${controlsMarkup(era)}
+                </div>
+            </div>
+        </div>
+    </section>`;
+}
+
+// ─── Navigation ───
+function renderNav(eras) {
+    const desktop = document.getElementById('navLinks');
+    const mobile = document.getElementById('mobileNavLinks');
+
+    if (desktop) {
+        desktop.innerHTML = eras.map(era =>
+            `<a href="#${era.id}" class="nav-link" data-section="${era.id}">${escapeHtml(era.label)}</a>`
+        ).join('');
+    }
+    if (mobile) {
+        mobile.innerHTML = eras.map(era =>
+            `<a href="#${era.id}" class="nav-link text-sm">${escapeHtml(era.label)}</a>`
+        ).join('');
+    }
+}
+
+// ─── Scroll Dots ───
+function renderScrollDots(eras) {
+    const indicator = document.getElementById('scrollIndicator');
+    if (!indicator) return;
+
+    const targets = [{ id: HERO_ID, label: 'Home' }, ...eras];
+    indicator.innerHTML = targets.map(({ id, label }, idx) =>
+        (idx > 0 ? '<div class="scroll-line" aria-hidden="true"></div>' : '') +
+        `<button type="button" class="scroll-dot" data-target="${id}" data-label="${escapeHtml(label)}" aria-label="${escapeHtml(label)}"></button>`
+    ).join('');
+
+    indicator.querySelectorAll('.scroll-dot').forEach(dot => {
+        dot.addEventListener('click', () => {
+            const el = document.getElementById(dot.dataset.target);
+            if (el) el.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+        });
+    });
+}
+
+// ─── Scroll Progress Indicator ───
+function bindScrollIndicator(eras) {
+    const sections = [HERO_ID, ...eras.map(era => era.id)];
+    const scrollDots = document.querySelectorAll('.scroll-dot');
+    const navLinks = document.querySelectorAll('.nav-link[data-section]');
+
+    function updateScrollIndicator() {
+        const scrollPos = window.scrollY + window.innerHeight / 2;
+        let activeIdx = 0;
+
+        sections.forEach((id, idx) => {
+            const section = document.getElementById(id);
+            if (section && scrollPos >= section.offsetTop) {
+                activeIdx = idx;
+            }
+        });
+
+        scrollDots.forEach((dot, idx) => {
+            dot.classList.toggle('active', idx === activeIdx);
+            if (idx === activeIdx) dot.setAttribute('aria-current', 'location');
+            else dot.removeAttribute('aria-current');
+        });
+
+        navLinks.forEach(link => {
+            const sectionId = link.getAttribute('data-section');
+            link.classList.toggle('active', sectionId === sections[activeIdx]);
+        });
+    }
+
+    scrollHandler = updateScrollIndicator;
+    window.addEventListener('scroll', scrollHandler, { passive: true });
+    updateScrollIndicator();
+}
+
+// ─── Reveal Animations ───
+/**
+ * Fade in .reveal elements as they scroll into view. Safe to call again:
+ * the hero's are observed before the manifest loads, the era sections' once
+ * they are rendered.
+ */
+export function observeReveals() {
+    if (!revealObserver) {
+        revealObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('visible');
+                }
+            });
+        }, { threshold: 0.15 });
+    }
+
+    document.querySelectorAll('.reveal:not(.visible)').forEach(el => {
+        revealObserver.observe(el);
+    });
+}
+
+/**
+ * The manifest didn't load: say so where the era sections would be.
+ */
+export function renderTimelineError() {
+    const container = document.getElementById('eraSections');
+    if (!container) return;
+    container.innerHTML = `
+        <section class="timeline-error" role="alert">
+            <p class="timeline-error-title">The timeline couldn't be loaded.</p>
+            <p class="timeline-error-note">Check your connection and reload the page to try again.</p>
+        </section>`;
+}
+
+/**
+ * Build every manifest-driven piece of page chrome: era sections (inserted
+ * into #eraSections), desktop + mobile nav links, the scroll indicator and
+ * the first-era call-to-action links.
+ */
+export function renderTimeline(eras) {
+    const container = document.getElementById('eraSections');
+    if (container) {
+        container.innerHTML = eras.map(sectionMarkup).join('\n');
+    }
+
+    renderNav(eras);
+    renderScrollDots(eras);
+
+    // "Start the Journey" style links always point at the first era
+    if (eras.length) {
+        document.querySelectorAll('[data-first-era]').forEach(link => {
+            link.setAttribute('href', `#${eras[0].id}`);
+        });
+    }
+
+    bindScrollIndicator(eras);
+    observeReveals();
+}
+
+/**
+ * Stop tracking scroll and reveals; the rendered markup is left to its page.
+ */
+export function disposeTimeline() {
+    if (scrollHandler) window.removeEventListener('scroll', scrollHandler);
+    if (revealObserver) revealObserver.disconnect();
+    scrollHandler = null;
+    revealObserver = null;
+}
@@ -0,0 +1,377 @@
+// tour.js — Guided tour: plays a narrated script (data/tour.json) through the eras with captions
+//
+// Each step names an era and optionally its explode progress, a camera pose
+// (keyframe-style, relative to the era's framing), a part to highlight, a
+// caption, narration text and a duration. This module owns the script, the
+// step timing, the #tourOverlay captions and controls, the keyboard and the
+// Web Speech narration; the app applies each step to the page (setOnTourStep).
+// With narration on, a step lasts until both its duration and its speech end.
+import { getEra } from './timeline.js';
+
+const TOUR_URL = 'data/tour.json';
+const DEFAULT_DURATION = 8;                 // s per step
+const STORAGE_KEY = 'tourNarration';        // 'on' | 'off'
+const SPEECH_WORDS_PER_SECOND = 2;          // slow speech, for the wait limit
+const SPEECH_GRACE = 5;                     // s — on top of that, before a stuck voice is given up on
+
+let script = null;          // { title, lang, rate, loop, steps }
+let index = -1;
+let active = false;
+let paused = false;
+let narration = false;
+
+let timer = null;
+let timerStart = 0;
+let remaining = 0;          // ms left on the step, kept while paused
+let timerDone = false;
+let utterance = null;       // the step's narration while it is being spoken
+let speechTimer = null;     // gives up on an utterance whose end never fires
+let spoken = false;         // the step's narration has started (stepping while paused doesn't speak)
+
+let overlay = null;
+let onStepCallback = null;
+let onEndCallback = null;
+
+// ─── Script ───
+function normalizeStep(step) {
+    return {
+        era: step.era,
+        explode: typeof step.explode === 'number' ? Math.max(0, Math.min(1, step.explode)) : null,
+        camera: step.camera || null,
+        part: step.part || null,
+        caption: step.caption || '',
+        narration: step.narration ?? step.caption ?? '',
+        duration: step.duration > 0 ? step.duration : DEFAULT_DURATION
+    };
+}
+
+function normalizeScript(data) {
+    const steps = (data.steps || []).filter(step => {
+        if (getEra(step.era)) return true;
+        console.warn(`Tour step skipped: unknown era "${step.era}"`);
+        return false;
+    });
+
+    return {
+        title: data.title || 'Guided tour',
+        lang: data.lang || document.documentElement.lang || '',
+        rate: data.rate || 1,
+        loop: !!data.loop,
+        steps: steps.map(normalizeStep)
+    };
+}
+
+// ─── Narration ───
+function canSpeak() {
+    return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+}
+
+function readNarration() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) === 'on';
+    } catch (err) {
+        return false;   // storage blocked (privacy mode, sandboxed iframe)
+    }
+}
+
+function writeNarration() {
+    try {
+        localStorage.setItem(STORAGE_KEY, narration ? 'on' : 'off');
+    } catch (err) {
+        // Not persisted — the toggle still applies for this visit
+    }
+}
+
+// Some voices never fire end; a step doesn't wait on them past a generous estimate
+function guardSpeech() {
+    clearTimeout(speechTimer);
+    const words = utterance.text.split(/\s+/).length;
+    speechTimer = setTimeout(() => {
+        speechTimer = null;
+        stopSpeech();
+        maybeAdvance();
+    }, (words / (SPEECH_WORDS_PER_SECOND * script.rate) + SPEECH_GRACE) * 1000);
+}
+
+function stopSpeech() {
+    clearTimeout(speechTimer);
+    speechTimer = null;
+    if (!utterance) return;
+    utterance = null;   // its end/error event (fired by cancel) is ignored
+    window.speechSynthesis.cancel();
+    // cancel() keeps a paused synthesizer paused, which would mute the next step
+    window.speechSynthesis.resume();
+}
+
+function speak(text) {
+    stopSpeech();
+    spoken = true;
+    if (!narration || !canSpeak() || !text) return;
+
+    const current = new window.SpeechSynthesisUtterance(text);
+    if (script.lang) current.lang = script.lang;
+    current.rate = script.rate;
+    current.onend = current.onerror = () => {
+        if (utterance !== current) return;
+        utterance = null;
+        clearTimeout(speechTimer);
+        speechTimer = null;
+        maybeAdvance();
+    };
+    utterance = current;
+    window.speechSynthesis.speak(current);
+    guardSpeech();
+}
+
+// ─── Timing ───
+function startTimer(ms) {
+    clearTimeout(timer);
+    remaining = ms;
+    timerStart = performance.now();
+    timer = setTimeout(() => {
+        timer = null;
+        timerDone = true;
+        maybeAdvance();
+    }, ms);
+}
+
+function stopTimer() {
+    if (timer === null) return;
+    clearTimeout(timer);
+    timer = null;
+    remaining = Math.max(0, remaining - (performance.now() - timerStart));
+}
+
+function maybeAdvance() {
+    if (active && !paused && timerDone && !utterance) nextStep();
+}
+
+function showStep(i) {
+    index = i;
+    const step = script.steps[index];
+    stopSpeech();
+    stopTimer();
+    timerDone = false;
+    spoken = false;
+    remaining = step.duration * 1000;
+
+    render();
+    if (onStepCallback) onStepCallback(step, index);
+    if (!paused) {
+        speak(step.narration);
+        startTimer(remaining);
+    }
+}
+
+// ─── Overlay ───
+function render() {
+    document.documentElement.classList.toggle('touring', active);
+    if (!overlay) return;
+    overlay.hidden = !active;
+    if (!active) return;
+
+    const step = script.steps[index];
+    const last = script.steps.length - 1;
+    overlay.querySelector('[data-tour-title]').textContent = script.title;
+    overlay.querySelector('[data-tour-count]').textContent = `${index + 1} / ${last + 1}`;
+    overlay.querySelector('[data-tour-caption]').textContent = step.caption;
+    overlay.querySelector('[data-tour-prev]').disabled = index === 0 && !script.loop;
+
+    const pause = overlay.querySelector('[data-tour-pause]');
+    pause.setAttribute('aria-pressed', String(paused));
+    pause.textContent = paused ? 'Resume' : 'Pause';
+    overlay.querySelector('[data-tour-narration]').setAttribute('aria-pressed', String(narration));
+}
+
+function onOverlayClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    if (button.hasAttribute('data-tour-prev')) previousStep();
+    else if (button.hasAttribute('data-tour-next')) nextStep();
+    else if (button.hasAttribute('data-tour-pause')) setTourPaused(!paused);
+    else if (button.hasAttribute('data-tour-narration')) setNarration(!narration);
+    else if (button.hasAttribute('data-tour-exit')) stopTour();
+}
+
+function onStartClick() {
+    startTour();
+}
+
+// ─── Keyboard ───
+// Presentation clickers send PageDown / PageUp
+function onKeyDown(e) {
+    if (!active || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.target instanceof Element && e.target.closest('input, select, textarea')) return;
+
+    switch (e.key) {
+        case 'ArrowRight':
+        case 'PageDown':
+            nextStep();
+            break;
+        case 'ArrowLeft':
+        case 'PageUp':
+            previousStep();
+            break;
+        case ' ':
+            // A focused button is pressed by Space itself
+            if (e.target instanceof Element && e.target.closest('button, a')) return;
+            setTourPaused(!paused);
+            break;
+        case 'Escape':
+            stopTour();
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Fetch and normalize a tour script. Steps naming an unknown era are skipped.
+ */
+export async function loadTour(url = TOUR_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Tour script ${url} failed to load (${response.status})`);
+    }
+    return normalizeScript(await response.json());
+}
+
+/**
+ * Use a loaded script: bind the [data-tour-start] buttons (revealed here)
+ * and the #tourOverlay controls, and restore the saved narration setting.
+ */
+export function initTour(tourScript) {
+    script = tourScript;
+    if (!script.steps.length) return;
+    narration = readNarration() && canSpeak();
+
+    overlay = document.getElementById('tourOverlay');
+    if (overlay) {
+        overlay.addEventListener('click', onOverlayClick);
+        overlay.querySelector('[data-tour-narration]').hidden = !canSpeak();
+    }
+    document.querySelectorAll('[data-tour-start]').forEach(button => {
+        button.hidden = false;
+        button.addEventListener('click', onStartClick);
+    });
+    document.addEventListener('keydown', onKeyDown);
+}
+
+/**
+ * Called with (step, index) as each step is shown.
+ */
+export function setOnTourStep(callback) {
+    onStepCallback = callback;
+}
+
+/**
+ * Called when the tour ends — finished or exited.
+ */
+export function setOnTourEnd(callback) {
+    onEndCallback = callback;
+}
+
+export function isTourActive() {
+    return active;
+}
+
+export function getTourStep() {
+    return active ? script.steps[index] : null;
+}
+
+export function startTour(from = 0) {
+    if (!script || !script.steps.length) return;
+    active = true;
+    paused = false;
+    showStep(Math.max(0, Math.min(script.steps.length - 1, from)));
+}
+
+/**
+ * Next step; past the last one the tour ends (or starts over if the script loops).
+ */
+export function nextStep() {
+    if (!active) return;
+    if (index < script.steps.length - 1) showStep(index + 1);
+    else if (script.loop) showStep(0);
+    else stopTour();
+}
+
+export function previousStep() {
+    if (!active) return;
+    if (index > 0) showStep(index - 1);
+    else if (script.loop) showStep(script.steps.length - 1);
+}
+
+/**
+ * Pause holds the step (timer and speech); resuming picks up where it was.
+ */
+export function setTourPaused(on) {
+    if (!active || paused === on) return;
+    paused = on;
+
+    if (paused) {
+        stopTimer();
+        clearTimeout(speechTimer);
+        speechTimer = null;
+        if (utterance) window.speechSynthesis.pause();
+    } else {
+        if (utterance) {
+            window.speechSynthesis.resume();
+            guardSpeech();
+        } else if (!spoken) {
+            speak(script.steps[index].narration);
+        }
+        if (!timerDone) startTimer(remaining);
+    }
+    render();
+    maybeAdvance();
+}
+
+/**
+ * Speak each step's narration (remembered per browser). Turning it on
+ * mid-step reads the current step from the start.
+ */
+export function setNarration(on) {
+    narration = on && canSpeak();
+    writeNarration();
+    if (!narration) {
+        stopSpeech();
+        maybeAdvance();
+    } else if (active && !paused) {
+        speak(script.steps[index].narration);
+    }
+    render();
+}
+
+export function stopTour() {
+    if (!active) return;
+    active = false;
+    paused = false;
+    stopSpeech();
+    stopTimer();
+    index = -1;
+    render();
+    if (onEndCallback) onEndCallback();
+}
+
+export function disposeTour() {
+    stopTour();
+    if (overlay) overlay.removeEventListener('click', onOverlayClick);
+    document.querySelectorAll('[data-tour-start]').forEach(button => {
+        button.hidden = true;
+        button.removeEventListener('click', onStartClick);
+    });
+    document.removeEventListener('keydown', onKeyDown);
+    document.documentElement.classList.remove('touring');
+    script = null;
+    overlay = null;
+    narration = false;
+    onStepCallback = null;
+    onEndCallback = null;
+}
@@ -0,0 +1,417 @@
+// transitions.js — Scroll-scrubbed era handoffs: noise dissolve, wireframe collapse, particle assembly
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/addons/math/MeshSurfaceSampler.js';
+import { addWireframeOverlay, getEraPalette } from './materials.js';
+import { createRandom, seedFromString } from './random.js';
+
+export const TRANSITIONS = ['dissolve', 'wireframe', 'particles', 'fade'];
+const DEFAULT_TRANSITION = 'dissolve';
+
+// A slot is fully "present" once it has travelled this fraction of the
+// viewport height in from the bottom edge (and until it is that close to the top)
+const PRESENCE_SPAN = 0.5;
+
+const WIRE_PEAK = 0.6;          // overlay opacity while a model is only edges
+const PARTICLE_COUNT = 1800;    // per model, spread over its surface by area
+const PARTICLE_SCATTER = 4.5;   // radius of the cloud particles assemble from
+
+let transitions = {};           // eraId → { group, type, particles }
+let enabled = true;             // off under reduced motion: slots cut in whole
+
+// Shared by every patched material: each slot is a separate render, so the
+// values are set per view and reset before the next one
+const dissolveUniforms = {
+    uDissolve: { value: 1 },
+    uDissolveColor: { value: new THREE.Color(0x2563EB) }
+};
+
+// ─── Helpers ───
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+function forEachMaterial(group, callback) {
+    group.traverse(child => {
+        if (!child.isMesh || !child.material || child.userData.isTransitionHelper || child.userData.isEffectLayer) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => callback(material, child));
+    });
+}
+
+// '?transition=particles' overrides every era — handy for comparing effects
+function resolveType(type) {
+    const override = new URLSearchParams(window.location.search).get('transition');
+    if (TRANSITIONS.includes(override)) return override;
+    return TRANSITIONS.includes(type) ? type : DEFAULT_TRANSITION;
+}
+
+// ═══════════════════════════════════════════
+// DISSOLVE — value noise in world space; fragments above the threshold are
+// discarded and a thin band at the threshold glows in the era's accent
+// ═══════════════════════════════════════════
+
+const dissolveVertexPars = /* glsl */`
+    varying vec3 vDissolvePos;
+`;
+
+const dissolveVertex = /* glsl */`
+    #include <project_vertex>
+    vec4 dissolvePos = vec4(transformed, 1.0);
+    #ifdef USE_INSTANCING
+        dissolvePos = instanceMatrix * dissolvePos;
+    #endif
+    vDissolvePos = (modelMatrix * dissolvePos).xyz;
+`;
+
+const dissolveFragmentPars = /* glsl */`
+    uniform float uDissolve;
+    uniform vec3 uDissolveColor;
+    varying vec3 vDissolvePos;
+
+    float dissolveHash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float dissolveValueNoise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(dissolveHash(i), dissolveHash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                mix(dissolveHash(i + vec3(0.0, 1.0, 0.0)), dissolveHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+            mix(mix(dissolveHash(i + vec3(0.0, 0.0, 1.0)), dissolveHash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                mix(dissolveHash(i + vec3(0.0, 1.0, 1.0)), dissolveHash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),
+            f.z);
+    }
+
+    float dissolveNoise(vec3 p) {
+        return 0.65 * dissolveValueNoise(p * 1.6) + 0.35 * dissolveValueNoise(p * 4.3);
+    }
+`;
+
+const dissolveFragmentDiscard = /* glsl */`
+    float dissolveCut = mix(-0.05, 1.05, uDissolve);
+    float dissolveN = dissolveNoise(vDissolvePos);
+    if (dissolveN > dissolveCut) discard;
+    #include <clipping_planes_fragment>
+`;
+
+const dissolveFragmentEdge = /* glsl */`
+    #include <dithering_fragment>
+    float dissolveEdge = (1.0 - smoothstep(0.0, 0.06, dissolveCut - dissolveN)) * step(uDissolve, 0.999);
+    gl_FragColor.rgb += uDissolveColor * dissolveEdge * 2.0;
+`;
+
+function patchDissolve(material) {
+    if (material.userData.dissolvePatched || material.isShaderMaterial) return;
+    material.userData.dissolvePatched = true;
+
+    // Some materials patch their own shader (instanced glow, materials.js) — keep that first
+    const ownPatch = material.onBeforeCompile;
+    const ownKey = material.customProgramCacheKey();
+    material.onBeforeCompile = (shader, renderer) => {
+        ownPatch.call(material, shader, renderer);
+        Object.assign(shader.uniforms, dissolveUniforms);
+        shader.vertexShader = dissolveVertexPars + shader.vertexShader
+            .replace('#include <project_vertex>', dissolveVertex);
+        shader.fragmentShader = dissolveFragmentPars + shader.fragmentShader
+            .replace('#include <clipping_planes_fragment>', dissolveFragmentDiscard)
+            .replace('#include <dithering_fragment>', dissolveFragmentEdge);
+    };
+    material.customProgramCacheKey = () => `${ownKey}|dissolve`;
+    material.needsUpdate = true;
+}
+
+// ═══════════════════════════════════════════
+// PARTICLES — points sampled over the assembled model, flying in from a
+// scattered cloud. Positions are the targets; aStart the cloud.
+// ═══════════════════════════════════════════
+
+const particleVertex = /* glsl */`
+    attribute vec3 aStart;
+    attribute float aDelay;
+    uniform float uProgress;
+    uniform float uSize;
+    varying float vSettle;
+
+    void main() {
+        float t = clamp((uProgress - aDelay * 0.4) / 0.6, 0.0, 1.0);
+        t = 1.0 - pow(1.0 - t, 3.0);
+        vSettle = t;
+        vec4 mvPosition = modelViewMatrix * vec4(mix(aStart, position, t), 1.0);
+        gl_PointSize = uSize * (200.0 / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const particleFragment = /* glsl */`
+    uniform vec3 uColor;
+    uniform float uOpacity;
+    varying float vSettle;
+
+    void main() {
+        float d = length(gl_PointCoord - 0.5);
+        if (d > 0.5) discard;
+        gl_FragColor = vec4(uColor, uOpacity * (1.0 - d * 2.0) * (0.4 + vSettle * 0.6));
+    }
+`;
+
+// THREE.Vector3.randomDirection, from a seeded generator
+function randomDirection(target, random) {
+    const u = random() * 2 - 1;
+    const theta = random() * Math.PI * 2;
+    const r = Math.sqrt(1 - u * u);
+    return target.set(r * Math.cos(theta), u, r * Math.sin(theta));
+}
+
+// Seeded per era, so the cloud is the same on every load and in snapshots
+function createParticleCloud(group, color, random) {
+    group.updateMatrixWorld(true);
+    const toGroup = new THREE.Matrix4().copy(group.matrixWorld).invert();
+
+    const sources = [];
+    forEachMaterial(group, (material, mesh) => {
+        // Instanced parts are sampled once per batch — its geometry, spread over
+        // the instances — rather than through every proxy (instancing.js)
+        if (mesh.userData.isWireframeOverlay || mesh.userData.instance || sources.some(s => s.mesh === mesh)) return;
+        if (!mesh.geometry?.attributes.position) return;
+        const instances = mesh.isInstancedMesh ? mesh.count : 1;
+        if (!instances) return;
+        const sampler = new MeshSurfaceSampler(mesh).setRandomGenerator(random).build();
+        const area = sampler.distribution ? sampler.distribution[sampler.distribution.length - 1] * instances : 0;
+        if (area > 0) sources.push({ mesh, sampler, area, instances });
+    });
+    if (!sources.length) return null;
+
+    const totalArea = sources.reduce((sum, s) => sum + s.area, 0);
+    const targets = new Float32Array(PARTICLE_COUNT * 3);
+    const starts = new Float32Array(PARTICLE_COUNT * 3);
+    const delays = new Float32Array(PARTICLE_COUNT);
+    const point = new THREE.Vector3();
+    const matrix = new THREE.Matrix4();
+    const instanceMatrix = new THREE.Matrix4();
+    const center = (group.userData.boundingSphere?.center || new THREE.Vector3()).clone().applyMatrix4(toGroup);
+
+    let i = 0;
+    sources.forEach((source, s) => {
+        const count = s === sources.length - 1
+            ? PARTICLE_COUNT - i
+            : Math.round(PARTICLE_COUNT * source.area / totalArea);
+        matrix.multiplyMatrices(toGroup, source.mesh.matrixWorld);
+
+        for (let n = 0; n < count && i < PARTICLE_COUNT; n++, i++) {
+            source.sampler.sample(point);
+            if (source.mesh.isInstancedMesh) {
+                source.mesh.getMatrixAt(Math.floor(random() * source.instances), instanceMatrix);
+                point.applyMatrix4(instanceMatrix);
+            }
+            point.applyMatrix4(matrix).toArray(targets, i * 3);
+
+            randomDirection(point, random).multiplyScalar(PARTICLE_SCATTER * (0.6 + random() * 0.4)).add(center);
+            point.toArray(starts, i * 3);
+            delays[i] = random();
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(targets, 3));
+    geometry.setAttribute('aStart', new THREE.BufferAttribute(starts, 3));
+    geometry.setAttribute('aDelay', new THREE.BufferAttribute(delays, 1));
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uProgress: { value: 0 },
+            uOpacity: { value: 1 },
+            uSize: { value: 0.05 },
+            uColor: { value: new THREE.Color(color) }
+        },
+        vertexShader: particleVertex,
+        fragmentShader: particleFragment,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.visible = false;
+    points.frustumCulled = false;
+    points.raycast = () => { };
+    points.userData.isTransitionHelper = true;
+    group.add(points);
+    return points;
+}
+
+// ─── Per-render material overrides, restored in endTransition ───
+let saved = [];
+let hiddenLayers = [];
+
+// Materials can be shared between meshes — each is overridden once per render
+function overrideOpacity(material, opacity) {
+    if (saved.some(entry => entry.material === material)) return;
+    saved.push({ material, opacity: material.opacity, transparent: material.transparent });
+    material.transparent = true;
+    material.opacity = opacity;
+}
+
+// Effect shells (effects.js) would float over a half-dissolved part — drop them mid-transition
+function hideEffectLayers(group) {
+    group.traverse(child => {
+        if (child.userData.isEffectLayer && child.visible) {
+            child.visible = false;
+            hiddenLayers.push(child);
+        }
+    });
+}
+
+function restoreOverrides() {
+    saved.forEach(({ material, opacity, transparent }) => {
+        material.opacity = opacity;
+        material.transparent = transparent;
+    });
+    saved = [];
+    hiddenLayers.forEach(layer => { layer.visible = true; });  // only layers that were showing
+    hiddenLayers = [];
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Prepare an era's model for its manifest transition ('dissolve', 'wireframe',
+ * 'particles' or 'fade'; `?transition=` in the URL overrides).
+ */
+export function registerTransition(eraId, group, type) {
+    const resolved = resolveType(type);
+    const accent = getEraPalette(eraId).accent;
+
+    if (resolved === 'wireframe') {
+        // Instanced parts get one overlay per batch, not one per proxy (instancing.js)
+        group.traverse(child => {
+            if (child.isMesh && !child.userData.isWireframeOverlay && !child.userData.instance && !child.userData.wireframe) {
+                addWireframeOverlay(child, 0);
+            }
+        });
+    }
+    if (resolved !== 'fade') {
+        forEachMaterial(group, patchDissolve);
+    }
+
+    transitions[eraId] = {
+        group,
+        type: resolved,
+        accent,
+        particles: resolved === 'particles' ? createParticleCloud(group, accent, createRandom(seedFromString(eraId))) : null
+    };
+}
+
+export function getTransitionType(eraId) {
+    return transitions[eraId]?.type || null;
+}
+
+/**
+ * How far a slot has scrolled into (1) or out of (0) the viewport — the
+ * transition's scrub position. Scrolling back runs it in reverse.
+ */
+export function getSlotPresence(rect, viewportHeight = window.innerHeight) {
+    const span = viewportHeight * PRESENCE_SPAN;
+    const entering = (viewportHeight - rect.top) / span;
+    const leaving = rect.bottom / span;
+    return smoothstep(0, 1, Math.min(entering, leaving));
+}
+
+/**
+ * Turn the scrubbed handoffs on or off; when off every model renders whole.
+ */
+export function setTransitionsEnabled(on) {
+    enabled = on;
+}
+
+/**
+ * Era view beforeRender hook: put the model into its transition state for
+ * this slot's presence.
+ */
+export function beginTransition(eraId, view) {
+    const transition = transitions[eraId];
+    if (!enabled || !transition || !view.rect) return;
+
+    const p = getSlotPresence(view.rect);
+    if (p >= 1) return;
+
+    const { group, type, accent, particles } = transition;
+    if (p <= 0) {
+        group.visible = false;
+        return;
+    }
+
+    dissolveUniforms.uDissolveColor.value.setHex(accent);
+    hideEffectLayers(group);
+
+    switch (type) {
+        case 'dissolve':
+            forEachMaterial(group, patchDissolve);
+            dissolveUniforms.uDissolve.value = p;
+            break;
+
+        case 'wireframe': {
+            // Solids dissolve down to bare edges; the edges go last
+            forEachMaterial(group, patchDissolve);
+            dissolveUniforms.uDissolve.value = smoothstep(0.4, 1, p);
+            const wire = WIRE_PEAK * smoothstep(0, 0.35, p);
+            const settle = smoothstep(0.9, 1, p);
+            group.traverse(child => {
+                if (!child.userData.isWireframeOverlay) return;
+                const base = child.material.opacity;
+                overrideOpacity(child.material, wire + (base - wire) * settle);
+            });
+            break;
+        }
+
+        case 'particles':
+            dissolveUniforms.uDissolve.value = smoothstep(0.7, 1, p);
+            if (particles) {
+                particles.visible = true;
+                particles.material.uniforms.uProgress.value = smoothstep(0, 0.75, p);
+                particles.material.uniforms.uOpacity.value = 1 - smoothstep(0.8, 1, p);
+            }
+            break;
+
+        default: // fade — the original crossfade, scrubbed
+            forEachMaterial(group, material => overrideOpacity(material, material.opacity * p));
+            break;
+    }
+}
+
+/**
+ * Era view afterRender hook: leave the model whole for other slots (the hero carousel).
+ */
+export function endTransition(eraId) {
+    const transition = transitions[eraId];
+    if (!transition) return;
+
+    dissolveUniforms.uDissolve.value = 1;
+    restoreOverrides();
+    if (transition.particles) transition.particles.visible = false;
+}
+
+function disposeParticles({ particles }) {
+    if (!particles) return;
+    particles.removeFromParent();
+    particles.geometry.dispose();
+    particles.material.dispose();
+}
+
+export function unregisterTransition(eraId) {
+    if (!transitions[eraId]) return;
+    disposeParticles(transitions[eraId]);
+    delete transitions[eraId];
+}
+
+export function disposeTransitions() {
+    Object.values(transitions).forEach(disposeParticles);
+    transitions = {};
+    restoreOverrides();
+}
@@ -0,0 +1,91 @@
+// urlState.js — Shareable view state in the URL hash: era, explode progress, selected part, camera mode
+//
+//   #steam?explode=0.6&part=pistonRod&camera=inspect
+//
+// A bare #steam (the nav anchors) is a valid state too. Query parameters
+// (?quality=, ?transition=, …) are page settings and are left alone.
+
+const WRITE_DELAY = 400;    // ms — batch scroll-driven updates (browsers rate-limit replaceState)
+
+let state = { era: null, explode: null, part: null, camera: null };
+let writeTimer = null;
+
+function parseHash(hash) {
+    const [era, query = ''] = hash.replace(/^#/, '').split('?');
+    const params = new URLSearchParams(query);
+    const explode = parseFloat(params.get('explode'));
+    return {
+        era: era ? decodeURIComponent(era) : null,
+        explode: isNaN(explode) ? null : Math.max(0, Math.min(1, explode)),
+        part: params.get('part'),
+        camera: params.get('camera')
+    };
+}
+
+function formatHash({ era, explode, part, camera }) {
+    if (!era) return '';
+    const params = new URLSearchParams();
+    if (explode !== null && explode !== undefined) params.set('explode', String(Math.round(explode * 100) / 100));
+    if (part) params.set('part', part);
+    if (camera) params.set('camera', camera);
+    const query = params.toString();
+    return `#${encodeURIComponent(era)}${query ? `?${query}` : ''}`;
+}
+
+function write() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    const url = window.location.pathname + window.location.search + formatHash(state);
+    if (url !== window.location.pathname + window.location.search + window.location.hash) {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+/**
+ * The state encoded in the current URL (read once on load to restore it).
+ */
+export function readURLState() {
+    state = parseHash(window.location.hash);
+    return { ...state };
+}
+
+/**
+ * Merge a partial state and write it to the URL shortly after (replaceState,
+ * so scrolling through the timeline doesn't flood the back button).
+ */
+export function updateURLState(partial) {
+    state = { ...state, ...partial };
+    if (!writeTimer) writeTimer = setTimeout(write, WRITE_DELAY);
+}
+
+/**
+ * Absolute link to an era: the full current state if it is the era in view,
+ * otherwise just its anchor.
+ */
+export function getShareURL(eraId = state.era) {
+    const hash = eraId === state.era ? formatHash(state) : formatHash({ era: eraId });
+    return window.location.origin + window.location.pathname + window.location.search + hash;
+}
+
+/**
+ * Copy an era's share link; falls back to a prompt where the Clipboard API is
+ * unavailable (insecure origins). Resolves to whether it reached the clipboard.
+ */
+export async function copyShareLink(eraId) {
+    write();
+    const url = getShareURL(eraId);
+    try {
+        await navigator.clipboard.writeText(url);
+        return true;
+    } catch (err) {
+        window.prompt('Copy this link', url);
+        return false;
+    }
+}
+
+// Drops a pending write — the view being torn down is no longer the page's state
+export function disposeURLState() {
+    clearTimeout(writeTimer);
+    writeTimer = null;
+    state = { era: null, explode: null, part: null, camera: null };
+}
@@ -0,0 +1,318 @@
+// viewer.js — Embeddable timeline viewer: the era models in a host element, driven by scroll or by the host
+//
+//   const viewer = await createTimelineViewer(element, { mode: 'controlled' });
+//   element.addEventListener('partselect', e => console.log(e.detail.label));
+//   viewer.setEra('steam');
+//   viewer.setProgress(0.5);
+//
+// Where the page (app.js) draws every era into its own slot, a viewer shows
+// one era at a time on a canvas of its own. Renderer, scene, lights, scroll
+// triggers and the manifest are per viewer, so several can share a page
+// without touching the page's own timeline. Events are CustomEvents
+// dispatched on the container:
+//   erachange        { era, previous }
+//   explodeprogress  { era, progress }
+//   partselect       { era, part, label, description } — part (its mesh name) is null when cleared
+//   modelerror       { era, error } — an era's model failed to build (tried again when next shown)
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { createRenderer, createBloomPass } from './scene.js';
+import { addLights } from './lighting.js';
+import { parseTimeline, fetchTimeline, describePart } from './timeline.js';
+import { loadEraModel } from './modelLoader.js';
+import { setupExplodedView, updateExplodedView } from './animation.js';
+import { measureModel, poseCamera } from './cameraController.js';
+import { setPartHighlight } from './picking.js';
+import { PROXY_LAYER } from './instancing.js';
+import { disposeObject } from './modelCache.js';
+
+export const VIEWER_MODES = ['scroll', 'controlled'];
+
+// The era shown and the one before it — scrolling back and forth doesn't rebuild
+const KEPT_MODELS = 2;
+
+/**
+ * Mount a viewer in container, which the host sizes. Resolves once the first
+ * era's model is built. Options:
+ *   manifest   — URL or manifest object ({ eras }); defaults to data/timeline.json
+ *   mode       — 'scroll': each era follows its section's scroll, as on the page;
+ *                'controlled': only setEra / setProgress move it
+ *   era        — the era shown first (defaults to the first)
+ *   sections   — scroll mode: eraId → section element, as a function or an
+ *                object (defaults to the element with the era's id)
+ *   gsap, ScrollTrigger — scroll mode: the GSAP instances (default the globals)
+ *   bloom      — bloom post-processing (default true)
+ */
+export async function createTimelineViewer(container, {
+    manifest,
+    mode = 'scroll',
+    era: firstEra = null,
+    sections = eraId => document.getElementById(eraId),
+    gsap: gsapInstance = window.gsap,
+    ScrollTrigger: scrollTrigger = window.ScrollTrigger,
+    bloom = true
+} = {}) {
+    if (!container) throw new Error('createTimelineViewer needs a container element');
+    if (!VIEWER_MODES.includes(mode)) throw new Error(`Unknown viewer mode "${mode}"`);
+
+    const eras = manifest && typeof manifest === 'object' ? parseTimeline(manifest) : await fetchTimeline(manifest);
+    const eraIds = eras.map(era => era.id);
+    if (!eraIds.length) throw new Error('The timeline manifest has no eras');
+
+    function getEra(eraId) {
+        return eras.find(era => era.id === eraId) || null;
+    }
+
+    // ─── Scene ───
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+    addLights(scene);
+
+    const renderer = createRenderer();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+    renderer.domElement.style.display = 'block';
+    container.appendChild(renderer.domElement);
+
+    const composer = new EffectComposer(renderer);
+    composer.addPass(new RenderPass(scene, camera));
+    if (bloom) composer.addPass(createBloomPass(1, 1));
+
+    // ─── State ───
+    const models = new Map();       // eraId → { group, parts }, least recently shown first
+    const building = new Map();     // eraId → build promise
+    const progress = {};            // eraId → explode progress
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    raycaster.layers.enable(PROXY_LAYER);
+
+    let activeEra = null;
+    let selected = null;
+    let currentMode = null;
+    let triggers = [];
+    let frame = null;
+    let destroyed = false;
+
+    function emit(type, detail) {
+        container.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+    }
+
+    // ─── Rendering (on demand) ───
+    function render() {
+        frame = null;
+        const model = models.get(activeEra);
+        models.forEach(({ group }, eraId) => { group.visible = eraId === activeEra; });
+        poseCamera(camera, model ? model.group : null, getEra(activeEra).camera, getProgress(activeEra));
+        composer.render();
+    }
+
+    function invalidate() {
+        if (frame === null && !destroyed) frame = requestAnimationFrame(render);
+    }
+
+    function resize() {
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        if (!width || !height) return;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height);
+        composer.setSize(width, height);
+        invalidate();
+    }
+
+    // ─── Models ───
+    function evict() {
+        for (const [eraId, { group }] of models) {
+            if (models.size <= KEPT_MODELS) break;
+            if (eraId === activeEra) continue;
+            group.removeFromParent();
+            disposeObject(group);
+            models.delete(eraId);
+        }
+    }
+
+    function ensureModel(eraId) {
+        const model = models.get(eraId);
+        if (model) {
+            models.delete(eraId);
+            models.set(eraId, model);
+            return Promise.resolve(model);
+        }
+        if (!building.has(eraId)) {
+            building.set(eraId, loadEraModel(eraId, getEra(eraId).model).then(built => {
+                if (!built) throw new Error(`No model for era "${eraId}"`);
+                if (destroyed) {
+                    disposeObject(built.group);
+                    return null;
+                }
+                scene.add(built.group);
+                measureModel(built.group);
+                setupExplodedView(built.parts);
+                updateExplodedView(built.parts, getProgress(eraId));
+                models.set(eraId, built);
+                evict();
+                invalidate();
+                return built;
+            }).finally(() => building.delete(eraId)));
+        }
+        return building.get(eraId);
+    }
+
+    // ─── Picking ───
+    function pickAt(clientX, clientY) {
+        const model = models.get(activeEra);
+        if (!model) return null;
+
+        const rect = renderer.domElement.getBoundingClientRect();
+        pointer.set((clientX - rect.left) / rect.width * 2 - 1, -(clientY - rect.top) / rect.height * 2 + 1);
+        raycaster.setFromCamera(pointer, camera);
+
+        // Hits land on meshes, which may be nested inside a GLB part node
+        const hits = raycaster.intersectObjects(model.parts.map(p => p.mesh), true);
+        for (let node = hits.length ? hits[0].object : null; node; node = node.parent) {
+            const part = model.parts.find(p => p.mesh === node);
+            if (part) return part;
+        }
+        return null;
+    }
+
+    function select(part) {
+        if (part === selected) return;
+        if (selected) setPartHighlight(selected, false);
+        selected = part;
+        if (selected) setPartHighlight(selected, true);
+
+        const info = part ? describePart(getEra(activeEra), part.mesh.name) : { label: null, description: null };
+        emit('partselect', { era: activeEra, part: part ? part.mesh.name : null, ...info });
+        invalidate();
+    }
+
+    function onClick(e) {
+        select(pickAt(e.clientX, e.clientY));
+    }
+
+    // ─── Scroll Mode ───
+    function createTriggers() {
+        gsapInstance.registerPlugin(scrollTrigger);
+
+        triggers = eraIds.map(eraId => {
+            const section = typeof sections === 'function' ? sections(eraId) : sections[eraId];
+            if (!section) return null;
+            return scrollTrigger.create({
+                trigger: section,
+                start: 'top 80%',
+                end: 'bottom 20%',
+                onEnter: () => setEra(eraId),
+                onEnterBack: () => setEra(eraId),
+                onUpdate: self => setProgress(self.progress, eraId)
+            });
+        }).filter(Boolean);
+    }
+
+    // ─── Public ───
+    function getProgress(eraId = activeEra) {
+        return progress[eraId] || 0;
+    }
+
+    function setEra(eraId) {
+        if (!getEra(eraId)) throw new Error(`Unknown era "${eraId}"`);
+        if (eraId === activeEra) return;
+
+        select(null);
+        const previous = activeEra;
+        activeEra = eraId;
+        ensureModel(eraId).catch(error => emit('modelerror', { era: eraId, error }));
+        emit('erachange', { era: eraId, previous });
+        invalidate();
+    }
+
+    function setProgress(value, eraId = activeEra) {
+        const t = Math.max(0, Math.min(1, Number(value) || 0));
+        if (progress[eraId] === t) return;
+        progress[eraId] = t;
+
+        const model = models.get(eraId);
+        if (model) updateExplodedView(model.parts, t);
+        emit('explodeprogress', { era: eraId, progress: t });
+        if (eraId === activeEra) invalidate();
+    }
+
+    // Select by mesh name (null clears), as if clicked
+    function selectPart(name) {
+        const model = models.get(activeEra);
+        select(model && name ? model.parts.find(p => p.mesh.name === name) || null : null);
+    }
+
+    function setMode(next) {
+        if (!VIEWER_MODES.includes(next)) throw new Error(`Unknown viewer mode "${next}"`);
+        if (next === 'scroll' && (!gsapInstance || !scrollTrigger)) {
+            throw new Error('Scroll mode needs GSAP and ScrollTrigger (pass options.gsap / options.ScrollTrigger, or use mode: "controlled")');
+        }
+        if (next === currentMode) return;
+        triggers.forEach(trigger => trigger.kill());
+        triggers = [];
+        currentMode = next;
+        if (next === 'scroll') createTriggers();
+    }
+
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+
+    // Frees the models, post-processing targets and the WebGL context, and removes the canvas
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        triggers.forEach(trigger => trigger.kill());
+        triggers = [];
+        if (frame !== null) cancelAnimationFrame(frame);
+        if (resizeObserver) resizeObserver.disconnect();
+        else window.removeEventListener('resize', resize);
+        renderer.domElement.removeEventListener('click', onClick);
+
+        if (selected) setPartHighlight(selected, false);
+        models.forEach(({ group }) => disposeObject(group));
+        models.clear();
+        scene.traverse(child => {
+            if (child.isLight) child.dispose();
+        });
+        composer.passes.forEach(pass => pass.dispose());
+        composer.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+        renderer.domElement.remove();
+    }
+
+    // ─── Start ───
+    if (resizeObserver) resizeObserver.observe(container);
+    else window.addEventListener('resize', resize);
+    renderer.domElement.addEventListener('click', onClick);
+    resize();
+
+    setEra(getEra(firstEra) ? firstEra : eraIds[0]);
+    try {
+        setMode(mode);
+    } catch (err) {
+        destroy();
+        throw err;
+    }
+    try {
+        await ensureModel(activeEra);
+    } catch (err) {
+        destroy();
+        throw err;
+    }
+
+    return {
+        container,
+        getEras: () => [...eraIds],
+        getEra: () => activeEra,
+        getMode: () => currentMode,
+        getProgress,
+        setEra,
+        setProgress,
+        selectPart,
+        setMode,
+        resize,
+        destroy
+    };
+}
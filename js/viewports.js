@@ -0,0 +1,219 @@
+// viewports.js — One renderer, many slots: scissored per-slot viewports tracking .three-visual-slot rects
+import * as THREE from 'three';
+import { Pass } from 'three/addons/postprocessing/Pass.js';
+
+let views = new Map();      // key → { key, element, objects, ownCamera, camera, rect, visible, beforeRender, afterRender }
+let origin = { left: 0, top: 0, width: 0, height: 0 };  // canvas rect in client space
+
+const scratchViewport = new THREE.Vector4();
+const scratchScissor = new THREE.Vector4();
+
+/**
+ * Register a slot element and the scene objects drawn inside it. Each view
+ * owns a camera; the active view borrows the main (cinematic/orbit) camera.
+ * Optional beforeRender/afterRender hooks may re-pose shared objects for this
+ * slot only (the hero carousel), as long as afterRender puts them back.
+ */
+export function registerView(key, element, objects = [], { beforeRender = null, afterRender = null } = {}) {
+    if (!element) return null;
+
+    const ownCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+    const view = {
+        key, element, objects: [], ownCamera, camera: ownCamera,
+        rect: null, visible: false, beforeRender, afterRender
+    };
+    views.set(key, view);
+    setViewObjects(key, objects);
+    return view;
+}
+
+export function setViewObjects(key, objects) {
+    const view = views.get(key);
+    if (!view) return;
+    objects.forEach(object => { object.userData.slotContent = true; });
+    view.objects = objects;
+}
+
+export function unregisterView(key) {
+    views.delete(key);
+}
+
+/**
+ * Route the main camera to one view (picking, annotations and inspection
+ * follow it); every other view renders through its own camera.
+ */
+export function setActiveView(key, camera) {
+    views.forEach(view => { view.camera = view.ownCamera; });
+    const view = views.get(key);
+    if (view && camera) view.camera = camera;
+}
+
+export function getView(key) {
+    return views.get(key) || null;
+}
+
+export function getVisibleViews() {
+    return [...views.values()].filter(view => view.visible);
+}
+
+/**
+ * Per-frame: measure every slot against the canvas, flag the ones on screen
+ * and match their cameras' aspect to the slot.
+ */
+export function updateViews(container) {
+    const bounds = container.getBoundingClientRect();
+    origin = { left: bounds.left, top: bounds.top, width: bounds.width, height: bounds.height };
+
+    views.forEach(view => {
+        const rect = view.element.getBoundingClientRect();
+        view.rect = rect;
+        view.visible = rect.width > 0 && rect.height > 0 &&
+            rect.bottom > origin.top && rect.top < origin.top + origin.height &&
+            rect.right > origin.left && rect.left < origin.left + origin.width;
+
+        if (view.visible) {
+            const aspect = rect.width / rect.height;
+            if (view.camera.aspect !== aspect) {
+                view.camera.aspect = aspect;
+                view.camera.updateProjectionMatrix();
+            }
+        }
+    });
+}
+
+/**
+ * Client coordinates → the view's NDC. Returns false when the point is outside the slot.
+ */
+export function clientToView(view, clientX, clientY, target) {
+    const { rect } = view;
+    if (!rect || clientX < rect.left || clientX > rect.right || clientY < rect.top || clientY > rect.bottom) {
+        return false;
+    }
+    target.set(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    return true;
+}
+
+/**
+ * World position → client coordinates inside the view's slot (mutates vec).
+ */
+export function projectToView(view, vec) {
+    vec.project(view.camera);
+    return {
+        x: view.rect.left + (vec.x * 0.5 + 0.5) * view.rect.width,
+        y: view.rect.top + (-vec.y * 0.5 + 0.5) * view.rect.height,
+        onScreen: vec.z < 1
+    };
+}
+
+// ═══════════════════════════════════════════
+// RENDER PASS
+// Replaces RenderPass: the backdrop (grid, particles) fills the frame from a
+// fixed camera, then each visible slot is drawn into its own scissored
+// viewport. Bloom and later passes run once over the composited frame.
+// ═══════════════════════════════════════════
+
+export class SlotRenderPass extends Pass {
+    constructor(scene, backdropCamera) {
+        super();
+        this.scene = scene;
+        this.backdropCamera = backdropCamera;
+        this.needsSwap = false;
+    }
+
+    render(renderer, writeBuffer, readBuffer) {
+        const scene = this.scene;
+        const target = this.renderToScreen ? null : readBuffer;
+        const scale = target ? renderer.getPixelRatio() : 1;
+
+        const content = [];
+        const backdrop = [];
+        scene.children.forEach(object => {
+            if (object.userData.slotContent) {
+                content.push({ object, visible: object.visible });
+            } else if (!object.isLight) {
+                backdrop.push({ object, visible: object.visible });
+            }
+        });
+
+        const autoClear = renderer.autoClear;
+
+        // Backdrop — full frame, cleared to the scene background
+        content.forEach(({ object }) => { object.visible = false; });
+        renderer.autoClear = true;
+        renderer.setRenderTarget(target);
+        renderer.render(scene, this.backdropCamera);
+
+        // Slots — models over the backdrop, each with a fresh depth buffer
+        const background = scene.background;
+        scene.background = null;
+        renderer.autoClear = false;
+        backdrop.forEach(({ object }) => { object.visible = false; });
+
+        views.forEach(view => {
+            if (!view.visible) return;
+
+            content.forEach(({ object, visible }) => {
+                object.visible = visible && view.objects.includes(object);
+            });
+
+            if (view.beforeRender) view.beforeRender(view);
+            this.setViewport(renderer, target, view.rect, scale);
+            renderer.clearDepth();
+            renderer.render(scene, view.camera);
+            if (view.afterRender) view.afterRender(view);
+        });
+
+        // Restore
+        this.resetViewport(renderer, target);
+        content.forEach(({ object, visible }) => { object.visible = visible; });
+        backdrop.forEach(({ object, visible }) => { object.visible = visible; });
+        scene.background = background;
+        renderer.autoClear = autoClear;
+    }
+
+    // Viewport may hang off the frame so the projection stays correct; the
+    // scissor is clamped to the frame. WebGL's origin is bottom-left.
+    setViewport(renderer, target, rect, scale) {
+        const x = rect.left - origin.left;
+        const y = origin.height - (rect.top - origin.top) - rect.height;
+        scratchViewport.set(x, y, rect.width, rect.height).multiplyScalar(scale);
+
+        const sx = Math.max(0, x);
+        const sy = Math.max(0, y);
+        scratchScissor.set(
+            sx, sy,
+            Math.max(0, Math.min(origin.width, x + rect.width) - sx),
+            Math.max(0, Math.min(origin.height, y + rect.height) - sy)
+        ).multiplyScalar(scale);
+
+        if (target) {
+            target.viewport.copy(scratchViewport);
+            target.scissor.copy(scratchScissor);
+            target.scissorTest = true;
+            renderer.setRenderTarget(target);
+        } else {
+            renderer.setViewport(scratchViewport);
+            renderer.setScissor(scratchScissor);
+            renderer.setScissorTest(true);
+        }
+    }
+
+    resetViewport(renderer, target) {
+        if (target) {
+            target.viewport.set(0, 0, target.width, target.height);
+            target.scissor.set(0, 0, target.width, target.height);
+            target.scissorTest = false;
+            renderer.setRenderTarget(target);
+        } else {
+            renderer.setViewport(0, 0, origin.width, origin.height);
+            renderer.setScissorTest(false);
+        }
+    }
+}
+
+export function disposeViewports() {
+    views = new Map();
+}
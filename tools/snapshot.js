@@ -0,0 +1,205 @@
+// snapshot.js — Offline stills and sprite sheets of every era model, for social cards, docs and the no-WebGL fallback
+//
+// Builds each model exactly as the page does (manifest → modelLoader), poses it
+// with the era's cinematic camera at fixed explode progress values and renders
+// through the page's renderer settings and bloom. Everything that would
+// otherwise be random is seeded, so the same options give the same images.
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { loadTimeline, getEras, getEra } from '../js/timeline.js';
+import { loadEraModel } from '../js/modelLoader.js';
+import { setupExplodedView, updateExplodedView } from '../js/animation.js';
+import { measureModel, poseCamera } from '../js/cameraController.js';
+import { createRenderer, createBloomPass } from '../js/scene.js';
+import { setupLighting } from '../js/lighting.js';
+import { createGridFloor, createParticles } from '../js/environment.js';
+import { createHolographicAura, updateShaderEffects } from '../js/shaders.js';
+import { createRandom } from '../js/random.js';
+import { disposeObject } from '../js/modelCache.js';
+
+const DEFAULTS = {
+    eras: null,             // all eras
+    progress: [0, 1],       // one still per explode progress value
+    width: 1024,
+    height: 1024,
+    frames: 24,             // sprite sheet frames (0 = none), assembled → exploded
+    columns: null,          // sprite columns; defaults to one row (a strip)
+    spriteWidth: 256,       // sprite cell width; height follows width / height
+    seed: 1
+};
+
+let renderer = null;
+let composer = null;
+let scene = null;
+let camera = null;
+let backdrop = [];          // grid, particles and aura, rebuilt per run from the seed
+
+// ─── Options ───
+function listParam(params, key, parse = value => value) {
+    const value = params.get(key);
+    return value === null ? undefined : value.split(',').filter(Boolean).map(parse);
+}
+
+function numberParam(params, key) {
+    const value = params.get(key);
+    return value === null || value === '' || isNaN(Number(value)) ? undefined : Number(value);
+}
+
+/**
+ * Options from the page URL, e.g. ?eras=steam,ai&progress=0,0.5,1&frames=12&columns=4&width=800&height=600&seed=7
+ */
+export function optionsFromURL(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const options = {
+        eras: listParam(params, 'eras'),
+        progress: listParam(params, 'progress', Number),
+        width: numberParam(params, 'width'),
+        height: numberParam(params, 'height'),
+        frames: numberParam(params, 'frames'),
+        columns: numberParam(params, 'columns'),
+        spriteWidth: numberParam(params, 'spriteWidth'),
+        seed: numberParam(params, 'seed')
+    };
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return options;
+}
+
+// ─── Scene ───
+function setupRenderer(width, height) {
+    if (!renderer) {
+        renderer = createRenderer({ alpha: false, preserveDrawingBuffer: true });
+        renderer.setPixelRatio(1);
+
+        scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x000000);
+        scene.fog = new THREE.FogExp2(0x000000, 0.015);
+        setupLighting(scene);
+
+        camera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
+        composer = new EffectComposer(renderer);
+        composer.addPass(new RenderPass(scene, camera));
+        composer.addPass(createBloomPass(width, height));
+    }
+
+    renderer.setSize(width, height, false);
+    composer.setPixelRatio(1);
+    composer.setSize(width, height);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+}
+
+// Same backdrop as the page, with the particle scatter drawn from the seed
+function setupBackdrop(seed) {
+    backdrop.forEach(object => {
+        object.removeFromParent();
+        disposeObject(object);
+    });
+    backdrop = [];
+
+    const before = new Set(scene.children);
+    createGridFloor(scene);
+    createParticles(scene, createRandom(seed));
+    scene.add(createHolographicAura(3.5));
+    backdrop = scene.children.filter(child => !before.has(child));
+
+    updateShaderEffects(0); // shader time frozen at zero
+}
+
+function renderAt(era, model, progress) {
+    updateExplodedView(model.parts, progress);
+    poseCamera(camera, model.group, era.camera, progress);
+    camera.updateProjectionMatrix();
+    composer.render();
+}
+
+function progressName(progress) {
+    return String(Math.round(progress * 100)).padStart(3, '0');
+}
+
+// ─── Outputs ───
+function renderStills(era, model, progressValues) {
+    return progressValues.map(progress => {
+        renderAt(era, model, progress);
+        return {
+            name: `${era.id}-${progressName(progress)}.png`,
+            era: era.id,
+            progress,
+            dataURL: renderer.domElement.toDataURL('image/png')
+        };
+    });
+}
+
+// Frames run assembled → exploded, left to right then top to bottom — the
+// layout the manifest `fallback.sprite` entry expects
+function renderSprite(era, model, { frames, columns, spriteWidth, width, height }) {
+    const cols = Math.max(1, Math.min(columns || frames, frames));
+    const rows = Math.ceil(frames / cols);
+    const cellWidth = spriteWidth;
+    const cellHeight = Math.round(spriteWidth * height / width);
+
+    const sheet = document.createElement('canvas');
+    sheet.width = cols * cellWidth;
+    sheet.height = rows * cellHeight;
+    const context = sheet.getContext('2d');
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, sheet.width, sheet.height);
+
+    for (let i = 0; i < frames; i++) {
+        renderAt(era, model, frames > 1 ? i / (frames - 1) : 0);
+        context.drawImage(renderer.domElement, (i % cols) * cellWidth, Math.floor(i / cols) * cellHeight, cellWidth, cellHeight);
+    }
+
+    return {
+        name: `${era.id}-sprite-${frames}.png`,
+        era: era.id,
+        sprite: { frames, columns: cols, aspect: width / height },
+        dataURL: sheet.toDataURL('image/png')
+    };
+}
+
+/**
+ * Render stills (and a sprite sheet) for the requested eras. Resolves to
+ * [{ name, era, dataURL, progress?, sprite? }] — plain data, so a headless
+ * browser can pull it out with page.evaluate().
+ */
+export async function renderSnapshots(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    if (!getEras().length) await loadTimeline();
+
+    setupRenderer(opts.width, opts.height);
+    setupBackdrop(opts.seed);
+
+    const eraIds = opts.eras || getEras().map(era => era.id);
+    const results = [];
+
+    for (const eraId of eraIds) {
+        const era = getEra(eraId);
+        if (!era) {
+            console.warn(`Snapshot: unknown era "${eraId}"`);
+            continue;
+        }
+        const model = await loadEraModel(eraId, era.model);
+        if (!model) continue;
+
+        scene.add(model.group);
+        measureModel(model.group);
+        setupExplodedView(model.parts);
+
+        results.push(...renderStills(era, model, opts.progress));
+        if (opts.frames > 0) results.push(renderSprite(era, model, opts));
+
+        scene.remove(model.group);
+        disposeObject(model.group);
+    }
+
+    return results;
+}
+
+export function disposeSnapshots() {
+    backdrop.forEach(disposeObject);
+    backdrop = [];
+    if (composer) composer.dispose();
+    if (renderer) renderer.dispose();
+    renderer = composer = scene = camera = null;
+}